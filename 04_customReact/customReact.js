@@ -8,24 +8,983 @@ function customRender(reactElement, container){
     container.appendChild(domElement)
     */
 
-    const domElement = document.createElement(reactElement.type)
-    domElement.innerHTML = reactElement.children
+    // Strings and numbers become text nodes, never HTML
+    if (typeof reactElement === 'string' || typeof reactElement === 'number') {
+        container.appendChild(container.ownerDocument.createTextNode(reactElement))
+        return
+    }
+
+    // null, undefined and booleans render nothing (like `{isOpen && <p/>}` in React)
+    if (reactElement == null || typeof reactElement === 'boolean') return
+
+    // Arrays (a Fragment's children, a component that returns a list) render in order
+    if (Array.isArray(reactElement)) {
+        reactElement.forEach(child => customRender(child, container))
+        return
+    }
+
+    if (reactElement.type === TEXT_ELEMENT) {
+        customRender(reactElement.props.nodeValue, container)
+        return
+    }
+
+    // Function components, Fragment and context Providers included: call them
+    // with their props (children included) and render whatever they return.
+    // Like renderToString, this renders once: useState gives the initial
+    // state, a setter has nothing to re-render and effects never run.
+    if (typeof reactElement.type === 'function') {
+        const instance = { element: reactElement, childInstances: [], hooks: [], root: null }
+        const prevEffects = pendingEffects
+        pendingEffects = []
+        try {
+            withProvider(reactElement, () => customRender(renderComponent(reactElement, instance), container))
+        } finally {
+            pendingEffects = prevEffects
+        }
+        return
+    }
+
+    // A portal's children go into its own container instead
+    if (reactElement.type === PORTAL) {
+        customRender(reactElement.children, reactElement.props.container)
+        return
+    }
+
+    const domElement = container.ownerDocument.createElement(reactElement.type)
     for (const prop in reactElement.props) {
-        if (prop === 'children') continue;
-        domElement.setAttribute(prop, reactElement.props[prop])
+        if (reservedProps.includes(prop)) continue
+        setProp(domElement, prop, reactElement.props[prop])
+    }
+
+    // children can be a single child or an array of strings, numbers and nested elements
+    // (unless the element opted in to raw HTML, which setProp has already written)
+    if (innerHtmlOf(reactElement) == null) {
+        const children = [].concat(reactElement.children ?? [])
+        children.forEach(child => customRender(child, domElement))
     }
+
     container.appendChild(domElement)
 }
 
-const reactElement = {
-    type: 'a',
-    props: {
-        href: 'https://google.com',
-        target: '_blank'
-    },
-    children: 'Click me to visit google'
+// Props that only work as DOM properties, not as attributes
+// (setAttribute('value', ...) changes the default value, not what the user sees)
+const domProperties = ['value', 'checked', 'selected', 'muted']
+
+// Every element keeps its handlers in _listeners and registers one proxy per
+// event, so swapping onClick between renders doesn't touch addEventListener at all
+function eventProxy(event){
+    return this._listeners[event.type](event)
+}
+
+function captureProxy(event){
+    return this._listeners[event.type + 'Capture'](event)
+}
+
+// React names that aren't just the DOM event name with "on" in front
+const eventNames = { doubleclick: 'dblclick' }
+
+// onClick -> click, onDoubleClick -> dblclick, onClickCapture -> click in the
+// capture phase. Note that onChange is the DOM change event (fired when an input
+// loses focus), not React's on-every-keystroke version: use onInput for that.
+function eventOf(propName){
+    const capture = propName.endsWith('Capture')
+    const name = propName.slice(2, capture ? -'Capture'.length : undefined).toLowerCase()
+    return { type: eventNames[name] ?? name, capture }
+}
+
+// Maps one React-style prop onto the DOM element.
+// prevValue is the value from the last render (undefined on first mount),
+// value == null means the prop was removed
+function setProp(domElement, name, value, prevValue){
+    // onClick -> addEventListener('click', fn)
+    if (name.startsWith('on')) {
+        // a string would become an inline onclick="..." attribute: code from data
+        if (value != null && typeof value !== 'function') {
+            console.warn('customReact: ' + name + ' must be a function, ignoring a ' + typeof value)
+            value = null
+        }
+        const { type, capture } = eventOf(name)
+        const key = capture ? type + 'Capture' : type
+        const proxy = capture ? captureProxy : eventProxy
+        domElement._listeners = domElement._listeners ?? {}
+        if (value && !domElement._listeners[key]) domElement.addEventListener(type, proxy, capture)
+        if (!value && domElement._listeners[key]) domElement.removeEventListener(type, proxy, capture)
+        domElement._listeners[key] = value
+        return
+    }
+
+    // the only prop that writes HTML; innerHtmlOf() has already checked its shape
+    if (name === 'dangerouslySetInnerHTML') {
+        const html = value?.__html ?? ''
+        if (html !== (prevValue?.__html ?? '')) domElement.innerHTML = html
+        return
+    }
+
+    if (name === 'className') name = 'class'
+    if (name === 'htmlFor') name = 'for'
+
+    // style={{ backgroundColor: 'red' }} -> domElement.style.backgroundColor = 'red'
+    if (name === 'style' && typeof value === 'object' && value !== null) {
+        if (typeof prevValue === 'string') domElement.style.cssText = ''
+        const prevStyle = typeof prevValue === 'object' && prevValue !== null ? prevValue : {}
+        for (const key in prevStyle) {
+            if (!(key in value)) setStyle(domElement, key, '')
+        }
+        for (const key in value) {
+            if (value[key] !== prevStyle[key]) setStyle(domElement, key, value[key])
+        }
+        return
+    }
+
+    // checked, value, disabled, ... are set as properties so the DOM state matches
+    if (domProperties.includes(name) || (typeof value === 'boolean' && name in domElement)) {
+        domElement[name] = value ?? ''
+        return
+    }
+
+    if (value == null || value === false) domElement.removeAttribute(name)
+    else domElement.setAttribute(name, value === true ? '' : value)
+}
+
+function setStyle(domElement, key, value){
+    if (key.startsWith('--')) domElement.style.setProperty(key, value)
+    else domElement.style[key] = value
+}
+
+// Text is always rendered as text nodes, so a string like '<img onerror=...>'
+// shows up as those characters instead of running. Raw HTML has to be asked
+// for by name: dangerouslySetInnerHTML={{ __html: '<b>trusted</b>' }}.
+// It replaces the element's children, so an element can't have both.
+function innerHtmlOf(element){
+    const raw = element.props?.dangerouslySetInnerHTML
+    if (raw == null) return null
+    if (typeof raw !== 'object' || !('__html' in raw)) {
+        throw new Error('customReact: dangerouslySetInnerHTML must be an object like { __html: "..." }')
+    }
+    if (childElements(element).some(Boolean)) {
+        throw new Error('customReact: an element can have children or dangerouslySetInnerHTML, not both')
+    }
+    return String(raw.__html ?? '')
+}
+
+// key and children are instructions for the renderer, never DOM props
+const reservedProps = ['children', 'key']
+
+// Patches only the props that changed between two renders
+function updateProps(domElement, prevProps, nextProps){
+    for (const name in prevProps) {
+        if (reservedProps.includes(name) || name in nextProps) continue
+        setProp(domElement, name, null, prevProps[name])
+    }
+    for (const name in nextProps) {
+        if (reservedProps.includes(name) || nextProps[name] === prevProps[name]) continue
+        setProp(domElement, name, nextProps[name], prevProps[name])
+    }
+}
+
+// Same job as React.createElement: build the {type, props, children} object for us.
+// Babel's classic JSX transform calls it as createElement(type, props, ...children),
+// so `/** @jsx createElement */` points JSX straight at this function (see jsx.html)
+function createElement(type, props, ...children){
+    return {
+        type,
+        props: props ?? {},
+        // flat() so arrays produced by .map() end up as plain children
+        children: children.flat(Infinity)
+    }
 }
 
-const mainContainer = document.querySelector('#root')
+/*
+ * Virtual DOM
+ *
+ * customRender builds fresh DOM every time it is called. render() keeps the
+ * last tree it rendered into each container as a tree of "instances":
+ *
+ *   { element, dom, childInstances }                for tags and text
+ *   { element, childInstances, hooks, root }        for function components
+ *   { element, childInstances, container }          for portals
+ *
+ * Only tags and text own a DOM node. A component can return several
+ * children (a Fragment) or none, so its DOM is whatever its children own.
+ *
+ * On the next render() the new element tree is diffed against those
+ * instances and only the differences are patched into the real DOM.
+ */
+
+const TEXT_ELEMENT = 'TEXT_ELEMENT'
+const PORTAL = 'PORTAL'
+
+// the last element and instance tree rendered into each container
+const roots = new WeakMap()
+
+// the container render() is working on, so new component instances know
+// which root to re-render when their state changes
+let currentRoot = null
+
+function render(element, container){
+    const focus = saveFocus(container.ownerDocument)
+    const prevInstance = roots.get(container)?.instance ?? null
+
+    const prevRoot = currentRoot
+    currentRoot = container
+    const nextInstance = reconcile(container, prevInstance, toElement(element))
+    currentRoot = prevRoot
+
+    placeNodes(container, nextInstance ? domNodes(nextInstance) : [])
+    roots.set(container, { element, instance: nextInstance })
+    restoreFocus(focus)
 
-customRender(reactElement, mainContainer)
\ No newline at end of file
+    // effects run once the DOM is up to date, like React's useEffect
+    runEffects()
+}
+
+// Moving a node with insertBefore blurs it in most browsers. Keyed moves keep
+// the same <input>, so we can hand focus (and the caret) straight back to it.
+function saveFocus(document){
+    const element = document.activeElement
+    if (!element || element === document.body) return null
+    const { selectionStart, selectionEnd } = element
+    return { element, selectionStart, selectionEnd }
+}
+
+function restoreFocus(focus){
+    if (!focus || !focus.element.isConnected) return
+    const { element, selectionStart, selectionEnd } = focus
+    if (element.ownerDocument.activeElement === element) return
+    element.focus()
+    if (selectionStart != null) element.setSelectionRange?.(selectionStart, selectionEnd)
+}
+
+// Strings and numbers become TEXT_ELEMENTs so text can be diffed like any
+// other element; null, undefined and booleans become empty slots (null)
+function toElement(child){
+    if (child == null || typeof child === 'boolean') return null
+    if (typeof child === 'string' || typeof child === 'number') {
+        return { type: TEXT_ELEMENT, props: { nodeValue: String(child) }, children: [] }
+    }
+    return child
+}
+
+function toElementList(children){
+    return [].concat(children ?? []).flat(Infinity).map(toElement)
+}
+
+function childElements(element){
+    return toElementList(element.children)
+}
+
+// Calls a component and returns what it rendered as a list of elements,
+// since a component may return one element, an array, or nothing
+function renderComponent(element, instance){
+    // like React, key is not passed on to the component
+    const { key, ...props } = { ...element.props, children: element.children }
+
+    const prevComponent = currentComponent
+    currentComponent = instance
+    hookIndex = 0
+    try {
+        return toElementList(element.type(props))
+    } finally {
+        currentComponent = prevComponent
+    }
+}
+
+// The real DOM nodes an instance puts into its parent, in order
+function domNodes(instance){
+    if (instance.dom) return [instance.dom]
+    if (instance.element.type === PORTAL) return []
+    return instance.childInstances.flatMap(child => child ? domNodes(child) : [])
+}
+
+// Builds DOM for an element that has no instance yet (the caller inserts it).
+// document is the container's ownerDocument, so a jsdom window works under Node.
+function instantiate(element, document){
+    if (element.type === TEXT_ELEMENT) {
+        return { element, dom: document.createTextNode(element.props.nodeValue), childInstances: [] }
+    }
+
+    if (typeof element.type === 'function') {
+        const instance = { element, childInstances: [], hooks: [], root: currentRoot }
+        instance.childInstances = withProvider(element, () => {
+            return renderComponent(element, instance).map(child => child && instantiate(child, document))
+        })
+        return instance
+    }
+
+    if (element.type === PORTAL) {
+        const container = element.props.container
+        const childInstances = childElements(element).map(child => child && instantiate(child, container.ownerDocument))
+        placeNodes(container, childInstances.flatMap(child => child ? domNodes(child) : []))
+        return { element, childInstances, container }
+    }
+
+    const dom = document.createElement(element.type)
+    const html = innerHtmlOf(element)
+    updateProps(dom, {}, element.props)
+    const children = html == null ? childElements(element) : []
+    const childInstances = children.map(child => child && instantiate(child, document))
+    childInstances.forEach(child => child && domNodes(child).forEach(node => dom.appendChild(node)))
+    return { element, dom, childInstances }
+}
+
+// Diffs one element against the instance rendered in the same place last
+// time and returns the instance that now represents it. New nodes are not
+// inserted here: the parent puts all of its children in place afterwards.
+function reconcile(parentDom, instance, element){
+    // nothing there before: create it
+    if (!instance) return element && instantiate(element, parentDom.ownerDocument)
+
+    // nothing there now: remove it
+    if (!element) {
+        unmount(instance)
+        return null
+    }
+
+    // different type: React doesn't try to patch a <p> into a <ul>, it replaces the node
+    if (instance.element.type !== element.type
+        || (element.type === PORTAL && instance.container !== element.props.container)) {
+        unmount(instance)
+        return instantiate(element, parentDom.ownerDocument)
+    }
+
+    // same type: patch in place
+    if (element.type === TEXT_ELEMENT) {
+        if (instance.element.props.nodeValue !== element.props.nodeValue) {
+            instance.dom.nodeValue = element.props.nodeValue
+        }
+    } else if (typeof element.type === 'function') {
+        // the component's children live in the same parent DOM node as it does
+        instance.childInstances = withProvider(element, () => {
+            return reconcileChildren(parentDom, instance.childInstances, renderComponent(element, instance))
+        })
+    } else if (element.type === PORTAL) {
+        instance.childInstances = reconcileChildren(instance.container, instance.childInstances, childElements(element))
+        placeNodes(instance.container, instance.childInstances.flatMap(child => child ? domNodes(child) : []))
+    } else if (innerHtmlOf(element) == null) {
+        updateProps(instance.dom, instance.element.props, element.props)
+        instance.childInstances = reconcileChildren(instance.dom, instance.childInstances, childElements(element))
+        placeNodes(instance.dom, instance.childInstances.flatMap(child => child ? domNodes(child) : []))
+    } else {
+        // innerHTML has replaced whatever children were rendered before
+        updateProps(instance.dom, instance.element.props, element.props)
+        instance.childInstances.forEach(child => unmount(child, false))
+        instance.childInstances = []
+    }
+
+    instance.element = element
+    return instance
+}
+
+// Children with a key are matched by key, so a reordered list moves its
+// existing DOM nodes instead of rewriting every one of them. Children without
+// a key are matched by position: old child 0 with new child 0, and so on.
+function childKey(element, index){
+    const key = element?.props?.key
+    return key == null ? 'index:' + index : 'key:' + key
+}
+
+function reconcileChildren(parentDom, prevInstances, nextElements){
+    const nextChildren = []
+
+    const prevChildren = new Map()
+    prevInstances.forEach((child, i) => {
+        prevChildren.set(childKey(child?.element, i), child)
+    })
+
+    const seenKeys = new Set()
+    nextElements.forEach((childElement, i) => {
+        const key = childKey(childElement, i)
+        if (seenKeys.has(key)) {
+            console.warn('customReact: two children with the same key "' + childElement.props.key + '"')
+        }
+        seenKeys.add(key)
+        const prevChild = prevChildren.get(key) ?? null
+        prevChildren.delete(key)
+        nextChildren.push(reconcile(parentDom, prevChild, childElement))
+    })
+
+    // whatever wasn't matched is gone from the new tree
+    prevChildren.forEach(child => reconcile(parentDom, child, null))
+
+    return nextChildren
+}
+
+// Puts new and moved nodes in place, walking backwards so each node can be
+// inserted before the one that follows it. Nodes already in place are not touched.
+function placeNodes(parentDom, nodes){
+    let nextSibling = null
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const node = nodes[i]
+        if (node.parentNode !== parentDom || node.nextSibling !== nextSibling) {
+            parentDom.insertBefore(node, nextSibling)
+        }
+        nextSibling = node
+    }
+}
+
+// Removes an instance's DOM and runs the effect cleanups of every component
+// inside it. Below a removed tag there is nothing left to detach, except for
+// portals, whose children live in another container.
+function unmount(instance, removeDom = true){
+    if (!instance) return
+    if (instance.hooks) {
+        instance.unmounted = true
+        instance.hooks.forEach(hook => hook.cleanup?.())
+    }
+    const isPortal = instance.element.type === PORTAL
+    instance.childInstances.forEach(child => unmount(child, isPortal || (removeDom && !instance.dom)))
+    if (removeDom) instance.dom?.remove()
+}
+
+/*
+ * Context, fragments and portals
+ */
+
+// Renders its children with no wrapper element: createElement(Fragment, null, a, b)
+// puts a and b straight into the parent. With JSX: /** @jsxFrag Fragment */ and <>...</>
+function Fragment({ children }){
+    return children
+}
+
+// Renders children into another DOM node (a modal on <body>, say) while they
+// stay part of this tree: same state, same context, same re-renders
+function createPortal(children, container){
+    return { type: PORTAL, props: { container }, children: [].concat(children) }
+}
+
+// A context is a value that Providers pass down to every component below
+// them, however deep, without threading it through props. Components are
+// rendered depth-first, so a Provider sets the value while its children
+// render and restores the previous one afterwards. useContext reads it.
+function createContext(defaultValue){
+    const context = { currentValue: defaultValue }
+
+    function Provider({ children }){
+        return children
+    }
+    Provider.context = context
+    context.Provider = Provider
+
+    return context
+}
+
+function withProvider(element, renderChildren){
+    const context = element.type.context
+    if (!context) return renderChildren()
+
+    const prevValue = context.currentValue
+    context.currentValue = element.props.value
+    try {
+        return renderChildren()
+    } finally {
+        context.currentValue = prevValue
+    }
+}
+
+function useContext(context){
+    if (!currentComponent) {
+        throw new Error('useContext can only be called inside a function component rendered with render()')
+    }
+    return context.currentValue
+}
+
+/*
+ * Hooks
+ *
+ * A component instance keeps its hooks in an array. Hooks have no names, so
+ * the only way to find "this component's second useState" on the next render
+ * is to count: every render must call the same hooks in the same order.
+ * That is the reason behind the Rules of Hooks (no hooks inside if/loops).
+ */
+
+// the component instance being rendered and the position of its next hook
+let currentComponent = null
+let hookIndex = 0
+
+// effects collected during a render, run by render() after the DOM is patched
+let pendingEffects = []
+
+function nextHook(name){
+    if (!currentComponent) {
+        throw new Error(name + ' can only be called inside a function component rendered with render()')
+    }
+    const hooks = currentComponent.hooks
+    hooks[hookIndex] = hooks[hookIndex] ?? {}
+    return hooks[hookIndex++]
+}
+
+function useState(initialValue){
+    const hook = nextHook('useState')
+    const instance = currentComponent
+
+    if (!('state' in hook)) {
+        hook.state = typeof initialValue === 'function' ? initialValue() : initialValue
+        hook.queue = []
+        // The setter doesn't change state right away, it queues the update
+        // and asks for a re-render. The queue is applied on that render.
+        hook.setState = action => {
+            if (instance.unmounted) return
+            hook.queue.push(action)
+            scheduleRender(instance.root)
+        }
+    }
+
+    // setX(value) replaces the state, setX(prev => next) computes it from
+    // the result of the update queued before it
+    hook.queue.forEach(action => {
+        hook.state = typeof action === 'function' ? action(hook.state) : action
+    })
+    hook.queue = []
+
+    return [hook.state, hook.setState]
+}
+
+function useEffect(callback, deps){
+    const hook = nextHook('useEffect')
+
+    // no deps: run after every render. [] : only after the first one.
+    const changed = !deps || !hook.deps || deps.some((dep, i) => !Object.is(dep, hook.deps[i]))
+    if (changed) pendingEffects.push({ hook, callback })
+    hook.deps = deps
+}
+
+function runEffects(){
+    const effects = pendingEffects
+    pendingEffects = []
+    effects.forEach(({ hook, callback }) => {
+        hook.cleanup?.()
+        const cleanup = callback()
+        hook.cleanup = typeof cleanup === 'function' ? cleanup : undefined
+    })
+}
+
+/*
+ * Batched updates
+ *
+ * Every setter call in the same tick marks its root as dirty. The first one
+ * queues a microtask, which runs once the current handler has finished and
+ * re-renders each dirty root exactly once - however many setters were called.
+ */
+
+const dirtyRoots = new Set()
+
+function scheduleRender(container){
+    if (dirtyRoots.size === 0) queueMicrotask(flushUpdates)
+    dirtyRoots.add(container)
+}
+
+function flushUpdates(){
+    const containers = [...dirtyRoots]
+    dirtyRoots.clear()
+    containers.forEach(rerender)
+}
+
+// State lives in the instances, so re-rendering the root's element diffs
+// the whole tree again and every component picks up its current state
+function rerender(container){
+    const root = container && roots.get(container)
+    if (!root) {
+        console.warn('customReact: state changed in a component that was not rendered with render()')
+        return
+    }
+    render(root.element, container)
+}
+
+/*
+ * Server rendering and hydration
+ *
+ * renderToString turns the same element trees into an HTML string, with no
+ * DOM needed, so it runs in Node. hydrate then takes that markup in the
+ * browser and adopts it: instead of building new nodes it walks the existing
+ * ones alongside the element tree, attaching event listeners as it goes.
+ * See server.js for both halves working together.
+ */
+
+// elements that can't have children or a closing tag
+const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']
+
+const htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+function escapeHtml(value){
+    return String(value).replace(/[&<>"']/g, char => htmlEscapes[char])
+}
+
+function renderToString(element){
+    // components may call useState, but effects never run on the server: they
+    // are collected in a throwaway queue, so the next render() doesn't run them
+    const prevEffects = pendingEffects
+    pendingEffects = []
+    const output = { html: '', lastWasText: false }
+    try {
+        writeElement(output, toElement(element))
+        return output.html
+    } finally {
+        pendingEffects = prevEffects
+    }
+}
+
+// Appends the HTML for one element to output.html. Two text nodes next to
+// each other - even from different components - would come back from the
+// browser as one text node, so an empty comment keeps them apart for hydrate().
+function writeElement(output, element){
+    if (!element) return
+
+    if (element.type === TEXT_ELEMENT) {
+        if (output.lastWasText) output.html += '<!-- -->'
+        output.html += escapeHtml(element.props.nodeValue)
+        output.lastWasText = true
+        return
+    }
+
+    if (typeof element.type === 'function') {
+        const instance = { element, childInstances: [], hooks: [], root: null }
+        withProvider(element, () => {
+            renderComponent(element, instance).forEach(child => writeElement(output, child))
+        })
+        return
+    }
+
+    // a portal needs a real DOM node to render into, so hydrate() builds it
+    if (element.type === PORTAL) return
+
+    const tag = element.type
+    if (!validTagName.test(tag)) throw new Error('customReact: invalid tag name ' + JSON.stringify(tag))
+    output.html += '<' + tag + attributesToString(element.props) + '>'
+    output.lastWasText = false
+    if (voidElements.includes(tag)) return
+
+    const innerHtml = innerHtmlOf(element)
+    if (innerHtml != null) output.html += innerHtml
+    else childElements(element).forEach(child => writeElement(output, child))
+
+    output.html += '</' + tag + '>'
+    output.lastWasText = false
+}
+
+// Names go into the markup as they are, so anything with spaces, quotes, = or >
+// could add attributes of its own: { 'x onmouseover=alert(1) y': '1' }.
+// The browser refuses such names in setAttribute; here they are skipped.
+const validTagName = /^[a-zA-Z][a-zA-Z0-9-]*$/
+const validAttributeName = /^[a-zA-Z_:][a-zA-Z0-9_:.-]*$/
+
+function attributesToString(props){
+    let html = ''
+    for (let name in props) {
+        let value = props[name]
+        // event listeners only exist in the browser; hydrate() attaches them
+        if (reservedProps.includes(name) || name.startsWith('on') || name === 'dangerouslySetInnerHTML') continue
+        if (value == null || value === false) continue
+        if (!validAttributeName.test(name)) {
+            console.warn('customReact: skipping invalid attribute name ' + JSON.stringify(name))
+            continue
+        }
+
+        if (name === 'style' && typeof value === 'object') value = styleToString(value)
+        if (name === 'className') name = 'class'
+        if (name === 'htmlFor') name = 'for'
+
+        html += value === true ? ' ' + name : ' ' + name + '="' + escapeHtml(value) + '"'
+    }
+    return html
+}
+
+// { backgroundColor: 'red' } -> 'background-color:red'
+function styleToString(style){
+    return Object.keys(style)
+        .filter(key => style[key] != null && style[key] !== '')
+        .map(key => {
+            const property = key.startsWith('--') ? key : key.replace(/[A-Z]/g, char => '-' + char.toLowerCase())
+            return property + ':' + style[key]
+        })
+        .join(';')
+}
+
+function hydrate(element, container){
+    const prevRoot = currentRoot
+    currentRoot = container
+    const [instance] = hydrateChildren(container, [toElement(element)])
+    currentRoot = prevRoot
+
+    roots.set(container, { element, instance })
+    runEffects()
+}
+
+// Walks the existing child nodes of parentDom in step with the elements.
+// cursor.node is the next server-rendered node waiting to be claimed; a
+// component's children claim nodes from the same cursor as their parent tag.
+function hydrateChildren(parentDom, elements){
+    const cursor = { node: removeComments(parentDom.firstChild) }
+    const instances = elements.map(element => element && hydrateNode(parentDom, element, cursor))
+
+    // markup the elements don't account for
+    while (cursor.node) {
+        const next = cursor.node.nextSibling
+        console.warn('customReact: removing extra server-rendered node', cursor.node)
+        cursor.node.remove()
+        cursor.node = removeComments(next)
+    }
+
+    return instances
+}
+
+// The <!-- --> separators from renderToString have done their job once the
+// text nodes exist, so they are removed to leave the DOM the diff expects
+function removeComments(node){
+    while (node && node.nodeType === 8) {
+        const next = node.nextSibling
+        node.remove()
+        node = next
+    }
+    return node
+}
+
+function hydrateNode(parentDom, element, cursor){
+    if (typeof element.type === 'function') {
+        const instance = { element, childInstances: [], hooks: [], root: currentRoot }
+        instance.childInstances = withProvider(element, () => {
+            return renderComponent(element, instance).map(child => child && hydrateNode(parentDom, child, cursor))
+        })
+        return instance
+    }
+
+    // portal content was never part of the server markup
+    if (element.type === PORTAL) return instantiate(element, parentDom.ownerDocument)
+
+    const node = cursor.node
+
+    if (element.type === TEXT_ELEMENT && node?.nodeType === 3) {
+        if (node.nodeValue !== element.props.nodeValue) {
+            console.warn('customReact: text mismatch, expected "' + element.props.nodeValue + '" but found "' + node.nodeValue + '"')
+            node.nodeValue = element.props.nodeValue
+        }
+        cursor.node = removeComments(node.nextSibling)
+        return { element, dom: node, childInstances: [] }
+    }
+
+    if (node?.nodeType === 1 && node.nodeName.toLowerCase() === String(element.type).toLowerCase()) {
+        for (const name in element.props) {
+            if (name.startsWith('on') && typeof element.props[name] === 'function') {
+                setProp(node, name, element.props[name])
+            }
+        }
+        // raw HTML is taken as the server wrote it
+        const childInstances = innerHtmlOf(element) == null ? hydrateChildren(node, childElements(element)) : []
+        cursor.node = removeComments(node.nextSibling)
+        return { element, dom: node, childInstances }
+    }
+
+    // The markup doesn't match what the client renders: build this part from scratch
+    console.warn('customReact: hydration mismatch, re-creating', element.type === TEXT_ELEMENT ? 'text' : '<' + element.type + '>')
+    const instance = instantiate(element, parentDom.ownerDocument)
+    if (node) parentDom.replaceChild(instance.dom, node)
+    else parentDom.appendChild(instance.dom)
+    cursor.node = removeComments(instance.dom.nextSibling)
+    return instance
+}
+
+// The same counter as 05_hooks_counter, built on our own useState
+function Counter({ initialValue }){
+    const [counter, setCounter] = useState(initialValue)
+    const renders = useRenderCount()
+
+    // runs after every render where counter changed
+    useEffect(() => {
+        document.title = 'Counter: ' + counter
+    }, [counter])
+
+    // Every call reads the same `counter` from this render's closure,
+    // so four updates of `counter + 1` still only add 1 (05_hooks_counter's addValue bug)
+    const addFourStale = () => {
+        setCounter(counter + 1)
+        setCounter(counter + 1)
+        setCounter(counter + 1)
+        setCounter(counter + 1)
+    }
+
+    // Functional updates get the result of the previous update: adds 4
+    const addFour = () => {
+        setCounter(prev => prev + 1)
+        setCounter(prev => prev + 1)
+        setCounter(prev => prev + 1)
+        setCounter(prev => prev + 1)
+    }
+
+    return createElement('div', null,
+        createElement('button', { onClick: () => setCounter(counter + 1) }, 'Add Value ' + counter),
+        ' ',
+        createElement('button', { onClick: () => setCounter(counter - 1) }, 'Remove Value ' + counter),
+        createElement('p', null,
+            createElement('button', { onClick: addFourStale }, '+4 with counter + 1'),
+            ' ',
+            createElement('button', { onClick: addFour }, '+4 with prev => prev + 1')
+        ),
+        // either button re-renders once: the four updates are batched
+        createElement('small', null, 'Rendered ' + renders + ' times')
+    )
+}
+
+// Counts renders without causing one: the state object is mutated in place
+function useRenderCount(){
+    const [counter] = useState(() => ({ renders: 0 }))
+    counter.renders++
+    return counter.renders
+}
+
+// An effect with a cleanup: the interval is cleared when the clock is hidden
+function Clock(){
+    const [time, setTime] = useState(() => new Date().toLocaleTimeString())
+
+    useEffect(() => {
+        const id = setInterval(() => setTime(new Date().toLocaleTimeString()), 1000)
+        return () => clearInterval(id)
+    }, [])
+
+    return createElement('p', null, 'It is ' + time)
+}
+
+// Whatever is typed here is rendered as text, even if it looks like HTML.
+// Only the explicit dangerouslySetInnerHTML below is parsed as markup.
+function SafeText(){
+    const [text, setText] = useState('<img src="x" onerror="alert(\'hacked\')">')
+
+    return createElement('div', null,
+        createElement('input', { value: text, onInput: event => setText(event.target.value), style: { width: '100%' } }),
+        createElement('p', null, 'As text: ', text),
+        createElement('p', { dangerouslySetInnerHTML: { __html: 'As <em>trusted</em> HTML, written by us' } })
+    )
+}
+
+// The 12_miniContext demo on the custom renderer: Login and Profile share
+// the user through context instead of props
+const UserContext = createContext(null)
+
+function UserContextProvider({ children }){
+    const [user, setUser] = useState(null)
+    return createElement(UserContext.Provider, { value: { user, setUser } }, children)
+}
+
+function Login(){
+    const [username, setUsername] = useState('')
+    const { setUser } = useContext(UserContext)
+
+    return createElement('div', null,
+        createElement('input', { value: username, placeholder: 'Username', onInput: event => setUsername(event.target.value) }),
+        ' ',
+        createElement('button', { onClick: () => username.trim() && setUser({ username }) }, 'Login')
+    )
+}
+
+function Profile(){
+    const { user, setUser } = useContext(UserContext)
+    const [showDetails, setShowDetails] = useState(false)
+
+    if (!user) return createElement('p', null, 'Please log in first')
+
+    // a Fragment: two paragraphs and a button with no wrapper <div> around them
+    return createElement(Fragment, null,
+        createElement('p', null, 'Welcome ' + user.username),
+        createElement('button', { onClick: () => setShowDetails(true) }, 'Details'),
+        ' ',
+        createElement('button', { onClick: () => setUser(null) }, 'Logout'),
+        // rendered into <body>, but still reads UserContext from up here
+        showDetails && createPortal(
+            createElement(Modal, { onClose: () => setShowDetails(false) }, createElement(ProfileDetails)),
+            document.body
+        )
+    )
+}
+
+function ProfileDetails(){
+    const { user } = useContext(UserContext)
+    return createElement('p', null, 'Logged in as ', createElement('strong', null, user.username))
+}
+
+function Modal({ onClose, children }){
+    return createElement('div',
+        { style: { position: 'fixed', inset: '0', background: 'rgba(0, 0, 0, 0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+        createElement('div', { style: { background: 'white', padding: '16px', borderRadius: '8px' } },
+            children,
+            createElement('button', { onClick: onClose }, 'Close')
+        )
+    )
+}
+
+function Card({ title, children }){
+    return createElement(
+        'div',
+        { className: 'card', style: { border: '1px solid #ccc', padding: '8px' } },
+        createElement('h2', null, title),
+        children
+    )
+}
+
+// Each <li> is keyed by its skill, so "Reverse" moves the existing nodes:
+// type a note, reverse the list and the note (and focus) moves with it
+function SkillList({ skills }){
+    return createElement('ul', null, skills.map(skill => createElement(
+        'li',
+        { key: skill },
+        skill + ' ',
+        createElement('input', { placeholder: 'notes' })
+    )))
+}
+
+const skillsToLearn = ['HTML', 'CSS', 'JavaScript', 'React']
+
+function App(){
+    const [learned, setLearned] = useState(0)
+    const [reversed, setReversed] = useState(false)
+    const [showClock, setShowClock] = useState(true)
+
+    const skills = skillsToLearn.slice(0, learned)
+    if (reversed) skills.reverse()
+
+    return createElement(
+        'div',
+        { id: 'card' },
+        createElement('h1', null, 'Custom React'),
+        createElement(Card, { title: 'Counter' }, createElement(Counter, { initialValue: 15 })),
+        createElement(Card, { title: 'Skills learned: ' + learned },
+            createElement(SkillList, { skills }),
+            learned < skillsToLearn.length
+                ? createElement('button', { onClick: () => setLearned(learned + 1) }, 'Learn ' + skillsToLearn[learned])
+                : createElement('p', { style: { color: 'green' } }, 'All done!'),
+            createElement('button', { onClick: () => setReversed(!reversed) }, 'Reverse')
+        ),
+        createElement(Card, { title: 'Safe text' }, createElement(SafeText)),
+        createElement(Card, { title: 'Context, fragments and portals' },
+            createElement(UserContextProvider, null, createElement(Login), createElement(Profile))
+        ),
+        createElement(Card, { title: 'Clock' },
+            showClock && createElement(Clock),
+            createElement('button', { onClick: () => setShowClock(!showClock) }, showClock ? 'Hide clock' : 'Show clock')
+        ),
+        createElement(Card, { title: 'Links' }, createElement(
+            'a',
+            { href: 'https://google.com', target: '_blank' },
+            'Click me to visit google'
+        ))
+    )
+}
+
+// Under Node (server.js) there is no document and nothing to render into
+const mainContainer = typeof document !== 'undefined' ? document.querySelector('#root') : null
+
+// jsx.html and server.js load this file for the renderer only and have no #root
+if (mainContainer) render(createElement(App), mainContainer)
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        createElement,
+        customRender,
+        render,
+        renderToString,
+        hydrate,
+        Fragment,
+        createPortal,
+        createContext,
+        useState,
+        useEffect,
+        useContext
+    }
+}
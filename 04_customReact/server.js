@@ -0,0 +1,48 @@
+// Server rendering with the custom renderer:
+//   node server.js  ->  http://localhost:3000
+// The page arrives as ready-made HTML, then the browser hydrates it.
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const { createElement, renderToString } = require('./customReact.js')
+const { SsrApp, ssrItems } = require('./ssrApp.js')
+
+const PORT = process.env.PORT || 3000
+
+function page(){
+    const html = renderToString(createElement(SsrApp, { items: ssrItems }))
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Custom React SSR</title>
+</head>
+<body>
+    <div id="app">${html}</div>
+    <script src="/customReact.js"></script>
+    <script src="/ssrApp.js"></script>
+    <script>
+        hydrate(createElement(SsrApp, { items: ssrItems }), document.querySelector('#app'))
+    </script>
+</body>
+</html>`
+}
+
+const scripts = ['/customReact.js', '/ssrApp.js']
+
+http.createServer((req, res) => {
+    if (req.url === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        res.end(page())
+    } else if (scripts.includes(req.url)) {
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' })
+        fs.createReadStream(path.join(__dirname, req.url)).pipe(res)
+    } else {
+        res.writeHead(404)
+        res.end('Not found')
+    }
+}).listen(PORT, () => {
+    console.log(`Custom React SSR running at http://localhost:${PORT}`)
+})
@@ -0,0 +1,25 @@
+// Shared by both sides of server.js: Node renders it to a string,
+// the browser hydrates that string. Both must produce the same tree.
+if (typeof module !== 'undefined') {
+    var { createElement, useState } = require('./customReact.js')
+}
+
+function SsrApp({ items }){
+    const [likes, setLikes] = useState(0)
+
+    return createElement(
+        'div',
+        { className: 'ssr-app' },
+        createElement('h1', null, 'Rendered on the server'),
+        createElement('ul', null, items.map(item => createElement('li', { key: item }, item))),
+        // this button came from the HTML string; hydrate() gives it its onClick
+        createElement('button', { onClick: () => setLikes(prev => prev + 1) }, 'Likes: ', likes)
+    )
+}
+
+// the data the server rendered with, reused by the browser for hydration
+const ssrItems = ['HTML <escaped> & safe', 'renderToString', 'hydrate']
+
+if (typeof module !== 'undefined') {
+    module.exports = { SsrApp, ssrItems }
+}
@@ -0,0 +1,66 @@
+// customRender on the element types added for context, fragments and portals
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { JSDOM } = require('jsdom')
+const { createElement, customRender, Fragment, createPortal, createContext, useContext, useEffect } = require('../customReact.js')
+
+function createDocument(){
+    const { window } = new JSDOM('<!DOCTYPE html><div id="root"></div><div id="modal"></div>')
+    return window.document
+}
+
+test('a Fragment puts its children straight into the container', () => {
+    const document = createDocument()
+    const root = document.getElementById('root')
+    customRender(createElement(Fragment, null, createElement('p', null, 'a'), 'b', createElement('p', null, 'c')), root)
+
+    assert.equal(root.innerHTML, '<p>a</p>b<p>c</p>')
+})
+
+test('a component may return an array', () => {
+    const document = createDocument()
+    const root = document.getElementById('root')
+    const List = ({ items }) => items.map(item => createElement('li', { key: item }, item))
+    customRender(createElement('ul', null, createElement(List, { items: ['x', 'y'] })), root)
+
+    assert.equal(root.innerHTML, '<ul><li>x</li><li>y</li></ul>')
+})
+
+test('Providers pass their value to useContext, and restore it afterwards', () => {
+    const document = createDocument()
+    const root = document.getElementById('root')
+    const Theme = createContext('light')
+    const Label = () => createElement('span', null, useContext(Theme))
+
+    customRender(createElement('div', null,
+        createElement(Theme.Provider, { value: 'dark' }, createElement(Label)),
+        createElement(Label)
+    ), root)
+
+    assert.equal(root.innerHTML, '<div><span>dark</span><span>light</span></div>')
+})
+
+test('a portal renders into its own container', () => {
+    const document = createDocument()
+    const root = document.getElementById('root')
+    const modal = document.getElementById('modal')
+    customRender(createElement('div', null, 'page', createPortal(createElement('p', null, 'dialog'), modal)), root)
+
+    assert.equal(root.innerHTML, '<div>page</div>')
+    assert.equal(modal.innerHTML, '<p>dialog</p>')
+})
+
+test('effects of components rendered by customRender never run', () => {
+    const ran = []
+    const WithEffect = () => {
+        useEffect(() => {
+            ran.push('effect')
+        })
+        return 'text'
+    }
+    const root = createDocument().getElementById('root')
+    customRender(createElement(WithEffect), root)
+
+    assert.equal(root.textContent, 'text')
+    assert.deepEqual(ran, [])
+})
@@ -0,0 +1,88 @@
+// Strings are text, never markup: the same hostile strings through every renderer
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { JSDOM } = require('jsdom')
+const { createElement, customRender, render, renderToString } = require('../customReact.js')
+
+const hostileStrings = [
+    '<img src=x onerror=alert(1)>',
+    '<script>alert(1)</script>',
+    '"><svg onload=alert(1)>',
+    '&lt;b&gt; already escaped',
+]
+
+function createContainer(){
+    const { window } = new JSDOM('<!DOCTYPE html><div id="root"></div>')
+    return window.document.getElementById('root')
+}
+
+for (const text of hostileStrings) {
+    test('customRender renders ' + JSON.stringify(text) + ' as a text node', () => {
+        const container = createContainer()
+        customRender(createElement('p', null, text), container)
+
+        const p = container.querySelector('p')
+        assert.equal(p.childNodes.length, 1)
+        assert.equal(p.firstChild.nodeType, 3)
+        assert.equal(p.textContent, text)
+        assert.equal(container.querySelector('img, script, svg'), null)
+    })
+
+    test('render renders ' + JSON.stringify(text) + ' as a text node, also on update', () => {
+        const container = createContainer()
+        render(createElement('p', null, 'safe'), container)
+        render(createElement('p', null, text), container)
+
+        const p = container.querySelector('p')
+        assert.equal(p.childNodes.length, 1)
+        assert.equal(p.firstChild.nodeType, 3)
+        assert.equal(p.textContent, text)
+        assert.equal(container.querySelector('img, script, svg'), null)
+    })
+
+    test('renderToString escapes ' + JSON.stringify(text), () => {
+        const html = renderToString(createElement('p', { title: text }, text))
+        // the only < are those of <p> and </p>, the only " those around the title
+        assert.equal(html.match(/</g).length, 2)
+        assert.equal(html.match(/"/g).length, 2)
+
+        // parsed back by a browser, it is the same text again
+        const container = createContainer()
+        container.innerHTML = html
+        assert.equal(container.querySelector('p').textContent, text)
+        assert.equal(container.querySelector('p').title, text)
+        assert.equal(container.querySelector('img, script, svg'), null)
+    })
+}
+
+test('string event handlers are refused, not written as inline attributes', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {})
+    const container = createContainer()
+
+    customRender(createElement('button', { onClick: 'alert(1)' }, 'a'), container)
+    render(createElement('button', { onClick: 'alert(1)' }, 'b'), createContainer())
+
+    assert.equal(container.querySelector('button').hasAttribute('onclick'), false)
+    assert.equal(container.querySelector('button').getAttribute('onClick'), null)
+    assert.equal(warn.mock.callCount(), 2)
+    assert.equal(renderToString(createElement('button', { onClick: 'alert(1)' }, 'c')), '<button>c</button>')
+})
+
+test('dangerouslySetInnerHTML writes markup only when asked for by name', () => {
+    const container = createContainer()
+    render(createElement('div', { dangerouslySetInnerHTML: { __html: '<em>trusted</em>' } }), container)
+    assert.equal(container.querySelector('em').textContent, 'trusted')
+    assert.equal(renderToString(createElement('div', { dangerouslySetInnerHTML: { __html: '<em>x</em>' } })), '<div><em>x</em></div>')
+})
+
+test('dangerouslySetInnerHTML together with children throws', () => {
+    const element = createElement('div', { dangerouslySetInnerHTML: { __html: '<em>x</em>' } }, 'child')
+    assert.throws(() => customRender(element, createContainer()), /children or dangerouslySetInnerHTML/)
+    assert.throws(() => render(element, createContainer()), /children or dangerouslySetInnerHTML/)
+    assert.throws(() => renderToString(element), /children or dangerouslySetInnerHTML/)
+})
+
+test('dangerouslySetInnerHTML must be an { __html } object', () => {
+    const element = createElement('div', { dangerouslySetInnerHTML: '<em>x</em>' })
+    assert.throws(() => render(element, createContainer()), /must be an object/)
+})
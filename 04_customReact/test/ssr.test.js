@@ -0,0 +1,65 @@
+// renderToString and hydrate under Node, with jsdom standing in for the browser
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { JSDOM } = require('jsdom')
+const { createElement, render, renderToString, hydrate, useEffect } = require('../customReact.js')
+const { SsrApp, ssrItems } = require('../ssrApp.js')
+
+// state updates are re-rendered in a microtask
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+function createContainer(html = ''){
+    const { window } = new JSDOM('<!DOCTYPE html><div id="app">' + html + '</div>')
+    return { window, container: window.document.getElementById('app') }
+}
+
+test('hydrate adopts the server-rendered nodes and attaches their listeners', async () => {
+    const html = renderToString(createElement(SsrApp, { items: ssrItems }))
+    const { window, container } = createContainer(html)
+    const button = container.querySelector('button')
+
+    hydrate(createElement(SsrApp, { items: ssrItems }), container)
+
+    assert.equal(container.querySelector('button'), button)
+    assert.equal(container.querySelectorAll('li').length, ssrItems.length)
+    assert.equal(container.querySelector('li').textContent, 'HTML <escaped> & safe')
+
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }))
+    await flush()
+
+    assert.equal(container.querySelector('button'), button)
+    assert.equal(button.textContent, 'Likes: 1')
+})
+
+test('renderToString escapes text and attribute values', () => {
+    const html = renderToString(createElement('p', { title: '"><script>' }, '<b>&</b>'))
+    assert.equal(html, '<p title="&quot;&gt;&lt;script&gt;">&lt;b&gt;&amp;&lt;/b&gt;</p>')
+})
+
+test('renderToString skips attribute names that would break out of the tag', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {})
+    const html = renderToString(createElement('div', { 'x onmouseover=alert(1) y': '1', 'data-id': '7' }))
+
+    assert.equal(html, '<div data-id="7"></div>')
+    assert.equal(warn.mock.callCount(), 1)
+})
+
+test('renderToString refuses invalid tag names', () => {
+    assert.throws(() => renderToString(createElement('img src=x onerror=alert(1)')), /invalid tag name/)
+})
+
+test('effects from renderToString never run, not even on a later render()', () => {
+    const ran = []
+    function WithEffect(){
+        useEffect(() => {
+            ran.push('server component')
+        })
+        return createElement('p', null, 'hello')
+    }
+
+    renderToString(createElement(WithEffect))
+    const { container } = createContainer()
+    render(createElement('p', null, 'unrelated'), container)
+
+    assert.deepEqual(ran, [])
+})
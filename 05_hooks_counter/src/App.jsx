@@ -1,29 +1,60 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import useDashboard from './hooks/useDashboard'
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts'
+import { CounterCard, DashboardToolbar, DashboardTotals } from './components'
 import './App.css'
 
 function App() {
 
-  const [counter, setCounter] = useState(15);
+  // Every counter goes through dashboardReducer -> counterReducer,
+  // which enforce the bounds and keep each counter's undo/redo history
+  const [dashboard, dispatch] = useDashboard();
+  const { counters, selectedId } = dashboard;
 
-  const addValue = () => {
-    console.log('Adding value', counter);
-    setCounter(counter + 1);
-  }
+  // Shortcuts act on the selected counter (the last one clicked)
+  const dispatchSelected = (type) => () => {
+    if (selectedId) dispatch({ type: 'counter', id: selectedId, action: { type } });
+  };
 
-  const removeValue = () => {
-    console.log('Removing value', counter);
-    setCounter(counter - 1);
-  }
+  // Arrows only count with focus inside a counter card, elsewhere they scroll the page
+  const inCard = (handler) => (event) => {
+    if (!event.target.closest?.('.counter-card')) return false;
+    handler();
+  };
+
+  useKeyboardShortcuts({
+    'mod+z': dispatchSelected('undo'),
+    'mod+shift+z': dispatchSelected('redo'),
+    'mod+y': dispatchSelected('redo'),
+    arrowup: inCard(dispatchSelected('increment')),
+    '+': dispatchSelected('increment'),
+    arrowdown: inCard(dispatchSelected('decrement')),
+    '-': dispatchSelected('decrement'),
+  });
 
   return (
     <>
-      <h1>Counter</h1>
-      <button 
-      onClick={addValue}>Add Value {counter} </button>
-      <button 
-      onClick={removeValue}>Remove Value {counter} </button>
+      <h1>Counters</h1>
+      <DashboardTotals counters={counters} />
+      <DashboardToolbar counters={counters} dispatch={dispatch} />
+
+      <div className="counter-grid">
+        {counters.map((counter, index) => (
+          <CounterCard
+            key={counter.id}
+            counter={counter}
+            selected={counter.id === selectedId}
+            isFirst={index === 0}
+            isLast={index === counters.length - 1}
+            dispatch={dispatch}
+          />
+        ))}
+      </div>
+
+      {counters.length === 0 && <p className="read-the-docs">No counters yet - add one above.</p>}
+
+      <p className="read-the-docs">
+        Shortcuts for the selected counter: + add, - remove (or ↑ / ↓ inside its card), Ctrl/Cmd + Z undo, Ctrl/Cmd + Shift + Z redo
+      </p>
     </>
   )
 }
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import CounterSettings from './CounterSettings';
+import SetValueForm from './SetValueForm';
+import TallyTimeline from './TallyTimeline';
+
+// One named counter on the dashboard.
+// Counter actions are wrapped so counterReducer receives them for this counter only.
+function CounterCard({ counter, selected, isFirst, isLast, dispatch }) {
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTimeline, setShowTimeline] = useState(false);
+  const counterDispatch = (action) => dispatch({ type: 'counter', id: counter.id, action });
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${counter.name || 'Untitled'}"?`)) {
+      dispatch({ type: 'remove', id: counter.id });
+    }
+  };
+
+  return (
+    <section
+      className={`counter-card ${selected ? 'selected' : ''}`}
+      tabIndex={-1}
+      onFocus={() => dispatch({ type: 'select', id: counter.id })}
+      onClick={() => dispatch({ type: 'select', id: counter.id })}
+    >
+      <div className="counter-card-header">
+        <input
+          className="counter-name"
+          value={counter.name}
+          placeholder="Untitled"
+          aria-label="Counter name"
+          onChange={(e) => dispatch({ type: 'rename', id: counter.id, name: e.target.value })}
+        />
+        <button onClick={() => dispatch({ type: 'move', id: counter.id, offset: -1 })} disabled={isFirst} title="Move up">↑</button>
+        <button onClick={() => dispatch({ type: 'move', id: counter.id, offset: 1 })} disabled={isLast} title="Move down">↓</button>
+        <button onClick={handleDelete} title="Delete">✕</button>
+      </div>
+
+      <p className="counter-value">{counter.value}</p>
+      <p className="counter-bounds">
+        {counter.min} – {counter.max}, step {counter.step}
+      </p>
+
+      <div className="counter-actions">
+        <button onClick={() => counterDispatch({ type: 'increment' })} disabled={counter.value >= counter.max}>
+          Add Value {counter.value}
+        </button>
+        <button onClick={() => counterDispatch({ type: 'decrement' })} disabled={counter.value <= counter.min}>
+          Remove Value {counter.value}
+        </button>
+      </div>
+
+      <div className="counter-actions">
+        <button onClick={() => counterDispatch({ type: 'reset' })}>Reset</button>
+        <button onClick={() => counterDispatch({ type: 'undo' })} disabled={counter.past.length === 0}>
+          Undo ({counter.past.length})
+        </button>
+        <button onClick={() => counterDispatch({ type: 'redo' })} disabled={counter.future.length === 0}>
+          Redo ({counter.future.length})
+        </button>
+        <button onClick={() => setShowSettings((prev) => !prev)}>
+          {showSettings ? 'Hide settings' : 'Settings'}
+        </button>
+        <button onClick={() => setShowTimeline((prev) => !prev)}>
+          {showTimeline ? 'Hide timeline' : `Timeline (${counter.events.length})`}
+        </button>
+      </div>
+
+      {showSettings && (
+        <>
+          <SetValueForm min={counter.min} max={counter.max} dispatch={counterDispatch} />
+          <CounterSettings counter={counter} dispatch={counterDispatch} />
+        </>
+      )}
+
+      {showTimeline && <TallyTimeline events={counter.events} />}
+    </section>
+  );
+}
+
+export default CounterCard;
@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { validateSettings } from '../reducers/counterReducer';
+
+const fields = [
+  { name: 'min', label: 'Min' },
+  { name: 'max', label: 'Max' },
+  { name: 'step', label: 'Step' },
+  { name: 'initialValue', label: 'Reset to' },
+];
+
+// Edits the counter's bounds and step size.
+// Changes are kept as a local draft until they pass validation and are applied.
+function CounterSettings({ counter, dispatch }) {
+  const [draft, setDraft] = useState(() => ({
+    min: String(counter.min),
+    max: String(counter.max),
+    step: String(counter.step),
+    initialValue: String(counter.initialValue),
+  }));
+
+  const settings = Object.fromEntries(
+    Object.entries(draft).map(([name, value]) => [name, value.trim() === '' ? NaN : Number(value)])
+  );
+  const error = validateSettings(settings);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!error) dispatch({ type: 'configure', settings });
+  };
+
+  return (
+    <form className="counter-settings" onSubmit={handleSubmit}>
+      {fields.map(({ name, label }) => (
+        <label key={name}>
+          {label}
+          <input
+            type="number"
+            value={draft[name]}
+            step="any"
+            onChange={(e) => setDraft((prev) => ({ ...prev, [name]: e.target.value }))}
+          />
+        </label>
+      ))}
+      <button type="submit" disabled={Boolean(error)}>Apply</button>
+      {error && <p className="counter-error">{error}</p>}
+    </form>
+  );
+}
+
+export default CounterSettings;
@@ -0,0 +1,55 @@
+import { useRef, useState } from 'react';
+import { countersToCSV, countersToJSON, createId, parseCounters } from '../utils/counterData';
+import { downloadFile } from '../utils/download';
+
+// Adding counters, plus exporting all of them to JSON/CSV and importing a file back
+function DashboardToolbar({ counters, dispatch }) {
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    dispatch({ type: 'add', id: createId(), name: name.trim() || `Counter ${counters.length + 1}` });
+    setName('');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so choosing the same file again still fires onChange
+    if (!file) return;
+
+    try {
+      const { counters: imported, skipped } = parseCounters(await file.text(), file.name);
+      if (!window.confirm(`Replace all ${counters.length} counters with ${imported.length} from ${file.name}?`)) return;
+      dispatch({ type: 'import', counters: imported });
+      setMessage(`Imported ${imported.length} counters${skipped ? `, skipped ${skipped} invalid rows` : ''}`);
+    } catch (error) {
+      setMessage(`Import failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="dashboard-toolbar">
+      <form className="add-counter-form" onSubmit={handleAdd}>
+        <input value={name} placeholder="New counter name" onChange={(e) => setName(e.target.value)} />
+        <button type="submit">Add counter</button>
+      </form>
+
+      <div className="counter-actions">
+        <button onClick={() => downloadFile('counters.json', countersToJSON(counters), 'application/json')} disabled={counters.length === 0}>
+          Export JSON
+        </button>
+        <button onClick={() => downloadFile('counters.csv', countersToCSV(counters), 'text/csv')} disabled={counters.length === 0}>
+          Export CSV
+        </button>
+        <button onClick={() => fileInputRef.current.click()}>Import</button>
+        <input ref={fileInputRef} type="file" accept=".json,.csv,application/json,text/csv" hidden onChange={handleImport} />
+      </div>
+
+      {message && <p className="read-the-docs">{message}</p>}
+    </div>
+  );
+}
+
+export default DashboardToolbar;
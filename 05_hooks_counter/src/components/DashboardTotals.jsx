@@ -0,0 +1,24 @@
+// Summary across every counter on the dashboard
+function DashboardTotals({ counters }) {
+  const total = counters.reduce((sum, counter) => sum + counter.value, 0);
+  const average = counters.length ? total / counters.length : 0;
+
+  return (
+    <dl className="dashboard-totals">
+      <div>
+        <dt>Counters</dt>
+        <dd>{counters.length}</dd>
+      </div>
+      <div>
+        <dt>Total</dt>
+        <dd>{Math.round(total * 100) / 100}</dd>
+      </div>
+      <div>
+        <dt>Average</dt>
+        <dd>{Math.round(average * 100) / 100}</dd>
+      </div>
+    </dl>
+  );
+}
+
+export default DashboardTotals;
@@ -0,0 +1,30 @@
+import { useState } from 'react';
+
+// Jumps the counter straight to a typed value (clamped to its bounds by the reducer)
+function SetValueForm({ min, max, dispatch }) {
+  const [value, setValue] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value.trim() === '') return;
+    dispatch({ type: 'set', value: Number(value) });
+    setValue('');
+  };
+
+  return (
+    <form className="set-value-form" onSubmit={handleSubmit}>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        step="any"
+        placeholder={`${min} – ${max}`}
+        onChange={(e) => setValue(e.target.value)}
+      />
+      <button type="submit">Set value</button>
+    </form>
+  );
+}
+
+export default SetValueForm;
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import TimelineChart from './TimelineChart';
+import { RANGE_PRESETS, filterEvents, formatTime, resolveRange, tallyStats, toDateInput, undoneEvents } from '../utils/timeline';
+
+// Newest entries shown in the list under the chart
+const LIST_LIMIT = 50;
+
+// Timeline of one counter: range filter, rates, chart and the latest changes
+function TallyTimeline({ events }) {
+  const [preset, setPreset] = useState('all');
+  const [custom, setCustom] = useState({ from: '', to: '' });
+
+  const range = resolveRange(preset, custom, Date.now());
+  const visible = filterEvents(events, range);
+  const undone = undoneEvents(events);
+  const stats = tallyStats(visible, range, undone);
+
+  const choosePreset = (id) => {
+    // Start the custom range from what was on screen
+    if (id === 'custom' && !custom.from && !custom.to && events.length > 0) {
+      setCustom({
+        from: toDateInput(range.from ?? events[0].at),
+        to: toDateInput(range.to ?? events[events.length - 1].at + 60 * 1000),
+      });
+    }
+    setPreset(id);
+  };
+
+  return (
+    <div className="tally-timeline">
+      <div className="timeline-range">
+        <select value={preset} onChange={(e) => choosePreset(e.target.value)} aria-label="Time range">
+          {RANGE_PRESETS.map((item) => (
+            <option key={item.id} value={item.id}>{item.label}</option>
+          ))}
+        </select>
+        {preset === 'custom' && (
+          <>
+            <label>
+              From
+              <input
+                type="datetime-local"
+                value={custom.from}
+                onChange={(e) => setCustom((prev) => ({ ...prev, from: e.target.value }))}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="datetime-local"
+                value={custom.to}
+                onChange={(e) => setCustom((prev) => ({ ...prev, to: e.target.value }))}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <dl className="timeline-stats">
+        <div>
+          <dt>Added</dt>
+          <dd>{stats.increments}</dd>
+        </div>
+        <div>
+          <dt>Removed</dt>
+          <dd>{stats.decrements}</dd>
+        </div>
+        <div>
+          <dt>Net</dt>
+          <dd>{stats.net > 0 ? `+${stats.net}` : stats.net}</dd>
+        </div>
+        <div>
+          <dt>Per minute</dt>
+          <dd>{stats.perMinute.toFixed(2)}</dd>
+        </div>
+        <div>
+          <dt>Per hour</dt>
+          <dd>{stats.perHour.toFixed(1)}</dd>
+        </div>
+      </dl>
+
+      <TimelineChart events={visible} from={range.from} to={range.to} />
+
+      {visible.length > 0 && (
+        <ol className="timeline-list" reversed>
+          {visible.slice(-LIST_LIMIT).reverse().map((event, index) => (
+            <li key={`${event.at}-${index}`}>
+              <time dateTime={new Date(event.at).toISOString()}>{formatTime(event.at)}</time>{' '}
+              {event.type} {event.delta > 0 ? `+${event.delta}` : event.delta} → {event.value}
+              {undone.has(event) && <span className="timeline-undone"> (undone)</span>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default TallyTimeline;
@@ -0,0 +1,62 @@
+import { formatTime } from '../utils/timeline';
+
+const WIDTH = 300;
+const HEIGHT = 140;
+const PADDING = 12;
+
+// The counter's value over time as a step line, drawn in plain SVG.
+// Increments are green dots, decrements red, other changes (reset, set, undo) grey.
+function TimelineChart({ events, from, to }) {
+  if (events.length === 0) {
+    return <p className="timeline-empty">No changes in this range.</p>;
+  }
+
+  // The value just before the first event, so the line starts at the right height
+  const startValue = events[0].value - events[0].delta;
+  const start = from ?? events[0].at;
+  const end = Math.max(to ?? events[events.length - 1].at, start + 1);
+
+  const values = [startValue, ...events.map((event) => event.value)];
+  let low = Math.min(...values);
+  let high = Math.max(...values);
+  if (low === high) {
+    low -= 1;
+    high += 1;
+  }
+
+  const x = (time) => PADDING + ((time - start) / (end - start)) * (WIDTH - 2 * PADDING);
+  const y = (value) => HEIGHT - PADDING - ((value - low) / (high - low)) * (HEIGHT - 2 * PADDING);
+
+  let path = `M ${x(start)} ${y(startValue)}`;
+  for (const event of events) {
+    path += ` H ${x(event.at)} V ${y(event.value)}`;
+  }
+  path += ` H ${x(end)}`;
+
+  const dotClass = (event) => {
+    if (event.type === 'increment') return 'timeline-dot up';
+    if (event.type === 'decrement') return 'timeline-dot down';
+    return 'timeline-dot';
+  };
+
+  return (
+    <figure className="timeline-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Counter value over time">
+        <line className="timeline-axis" x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} />
+        <text className="timeline-label" x={PADDING} y={PADDING - 2}>{high}</text>
+        <text className="timeline-label" x={PADDING} y={HEIGHT - 2}>{low}</text>
+        <path className="timeline-line" d={path} />
+        {events.map((event, index) => (
+          <circle key={`${event.at}-${index}`} className={dotClass(event)} cx={x(event.at)} cy={y(event.value)} r="2.5">
+            <title>{`${formatTime(event.at)}: ${event.type} → ${event.value}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <figcaption>
+        {formatTime(start)} – {formatTime(end)}
+      </figcaption>
+    </figure>
+  );
+}
+
+export default TimelineChart;
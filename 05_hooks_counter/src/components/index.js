@@ -0,0 +1,10 @@
+// Barrel export: import { CounterCard } from './components'
+import CounterCard from './CounterCard'
+import CounterSettings from './CounterSettings'
+import DashboardToolbar from './DashboardToolbar'
+import DashboardTotals from './DashboardTotals'
+import SetValueForm from './SetValueForm'
+import TallyTimeline from './TallyTimeline'
+import TimelineChart from './TimelineChart'
+
+export { CounterCard, CounterSettings, DashboardToolbar, DashboardTotals, SetValueForm, TallyTimeline, TimelineChart }
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useReducer } from 'react';
+import { createNamedCounter, dashboardReducer } from '../reducers/dashboardReducer';
+import { createId, sanitizeCounter } from '../utils/counterData';
+
+const STORAGE_KEY = 'hooks-counter-dashboard';
+
+// Saved by the single-counter version of this app
+const LEGACY_STORAGE_KEY = 'hooks-counter';
+
+function readJSON(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+// Restores the saved dashboard. A counter saved by the old single-counter
+// app becomes the first counter; with nothing saved we start with one.
+function loadDashboard() {
+  const saved = readJSON(STORAGE_KEY);
+  if (saved && Array.isArray(saved.counters)) {
+    const counters = saved.counters
+      .map((counter) => sanitizeCounter(counter, typeof counter?.id === 'string' ? counter.id : undefined))
+      .filter(Boolean);
+    const selectedId = counters.some((counter) => counter.id === saved.selectedId) ? saved.selectedId : counters[0]?.id ?? null;
+    return { counters, selectedId };
+  }
+
+  const legacy = sanitizeCounter({ name: 'Counter', ...readJSON(LEGACY_STORAGE_KEY) });
+  const first = legacy ?? createNamedCounter(createId(), 'Counter');
+  return { counters: [first], selectedId: first.id };
+}
+
+// Custom hook: all counters of the dashboard, managed by dashboardReducer
+// and saved to localStorage after every change
+function useDashboard() {
+  const [dashboard, dispatch] = useReducer(dashboardReducer, undefined, loadDashboard);
+
+  // Reducers must be pure, so the time for the timeline is read here,
+  // when the action is dispatched, and travels with it
+  const dispatchWithTime = useCallback((action) => dispatch({ ...action, at: Date.now() }), []);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(dashboard));
+  }, [dashboard]);
+
+  return [dashboard, dispatchWithTime];
+}
+
+export default useDashboard;
@@ -0,0 +1,41 @@
+import { useEffect, useRef } from 'react';
+
+// Turns a keydown event into a string like "mod+shift+z" ("mod" is Ctrl, or Cmd on a Mac)
+function comboFromEvent(event) {
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push('mod');
+  // Shift only counts for letters and named keys: "+" already needs Shift on most keyboards
+  if (event.shiftKey && (event.key.length > 1 || /[a-z]/i.test(event.key))) parts.push('shift');
+  if (event.altKey) parts.push('alt');
+  parts.push(event.key.toLowerCase());
+  return parts.join('+');
+}
+
+function isTyping(target) {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Custom hook: calls shortcuts[combo] when that key combination is pressed,
+// e.g. useKeyboardShortcuts({ 'mod+z': undo, arrowup: increment })
+// Keys pressed while typing in a form field are left alone, and so is a key
+// whose handler returns false (e.g. arrows that should scroll the page).
+function useKeyboardShortcuts(shortcuts) {
+  // Keep the latest handlers in a ref, so the listener is only added once
+  const shortcutsRef = useRef(shortcuts);
+  useEffect(() => {
+    shortcutsRef.current = shortcuts;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isTyping(event.target)) return;
+      const handler = shortcutsRef.current[comboFromEvent(event)];
+      if (handler && handler(event) !== false) event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
+
+export default useKeyboardShortcuts;
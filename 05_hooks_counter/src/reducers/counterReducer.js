@@ -0,0 +1,129 @@
+// Reducer for a single counter with bounds, a step size and undo/redo history.
+// All the rules for how the counter may change live here, so components only
+// describe *what* happened: dispatch({ type: 'increment' })
+
+// Undo steps kept per counter (older entries are dropped)
+const HISTORY_LIMIT = 100;
+
+// Timeline entries kept per counter, enough for a long tally session in localStorage
+const EVENT_LIMIT = 1000;
+
+export const defaultSettings = {
+  min: 0,
+  max: 100,
+  step: 1,
+  initialValue: 15,
+};
+
+export function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Avoids 0.1 + 0.2 = 0.30000000000000004 when the step is a decimal
+function round(value) {
+  return Math.round(value * 1e10) / 1e10;
+}
+
+export function createCounter(settings = {}) {
+  const { min, max, step, initialValue } = { ...defaultSettings, ...settings };
+  return {
+    value: clamp(initialValue, min, max),
+    min,
+    max,
+    step,
+    initialValue,
+    past: [],   // values to go back to, most recent last
+    future: [], // values undone, next redo first
+    events: [], // timeline: { at, type, delta, value } for every change, oldest first
+  };
+}
+
+// Checks settings before they reach the state: returns an error message or null
+export function validateSettings({ min, max, step, initialValue }) {
+  if (![min, max, step, initialValue].every(Number.isFinite)) return 'All settings must be numbers';
+  if (min > max) return 'Min must not be greater than max';
+  if (step <= 0) return 'Step must be greater than 0';
+  if (initialValue < min || initialValue > max) return 'Initial value must be between min and max';
+  return null;
+}
+
+// Moves the counter to a new value and remembers the old one for undo
+function commit(state, value) {
+  const next = clamp(round(value), state.min, state.max);
+  if (next === state.value) return state;
+  return {
+    ...state,
+    value: next,
+    past: [...state.past, state.value].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+// Every action that changes the value is added to the timeline. The time
+// comes in with the action (action.at), which keeps the reducer pure.
+export function counterReducer(state, action) {
+  const next = applyAction(state, action);
+  if (next.value === state.value || !Number.isFinite(action.at)) return next;
+
+  const event = { at: action.at, type: action.type, delta: round(next.value - state.value), value: next.value };
+  return { ...next, events: [...state.events, event].slice(-EVENT_LIMIT) };
+}
+
+function applyAction(state, action) {
+  switch (action.type) {
+    case 'increment':
+      return commit(state, state.value + state.step);
+
+    case 'decrement':
+      return commit(state, state.value - state.step);
+
+    case 'reset':
+      return commit(state, state.initialValue);
+
+    case 'set':
+      return Number.isFinite(action.value) ? commit(state, action.value) : state;
+
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        ...state,
+        value: clamp(state.past[state.past.length - 1], state.min, state.max),
+        past: state.past.slice(0, -1),
+        future: [state.value, ...state.future],
+      };
+    }
+
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        ...state,
+        value: clamp(state.future[0], state.min, state.max),
+        past: [...state.past, state.value].slice(-HISTORY_LIMIT),
+        future: state.future.slice(1),
+      };
+    }
+
+    // New bounds/step; the current value is pulled inside the new bounds.
+    // Undo to a value outside them would only be clamped back, so if any
+    // history falls outside, the history is dropped rather than kept as
+    // steps that change nothing.
+    case 'configure': {
+      const settings = {
+        min: state.min,
+        max: state.max,
+        step: state.step,
+        initialValue: state.initialValue,
+        ...action.settings,
+      };
+      if (validateSettings(settings)) return state;
+      const inBounds = (value) => value >= settings.min && value <= settings.max;
+      const history = [state.value, ...state.past, ...state.future].every(inBounds)
+        ? {}
+        : { past: [], future: [] };
+      return { ...state, ...settings, ...history, value: clamp(state.value, settings.min, settings.max) };
+    }
+
+    default:
+      throw new Error(`Unknown counter action: ${action.type}`);
+  }
+}
@@ -0,0 +1,57 @@
+// Reducer for the dashboard: a list of named counters.
+// Actions on a single counter are wrapped in { type: 'counter', id, action }
+// and handed to counterReducer, so each counter keeps its own bounds, step and history.
+import { counterReducer, createCounter } from './counterReducer';
+
+export function createNamedCounter(id, name, settings) {
+  return { id, name, ...createCounter(settings) };
+}
+
+function updateCounter(state, id, update) {
+  return {
+    ...state,
+    counters: state.counters.map((counter) => (counter.id === id ? update(counter) : counter)),
+  };
+}
+
+export function dashboardReducer(state, action) {
+  switch (action.type) {
+    case 'add': {
+      const counter = createNamedCounter(action.id, action.name, action.settings);
+      return { ...state, counters: [...state.counters, counter], selectedId: counter.id };
+    }
+
+    case 'rename':
+      return updateCounter(state, action.id, (counter) => ({ ...counter, name: action.name }));
+
+    // offset -1 moves a counter up one place, +1 moves it down
+    case 'move': {
+      const from = state.counters.findIndex((counter) => counter.id === action.id);
+      const to = from + action.offset;
+      if (from === -1 || to < 0 || to >= state.counters.length) return state;
+      const counters = [...state.counters];
+      [counters[from], counters[to]] = [counters[to], counters[from]];
+      return { ...state, counters };
+    }
+
+    case 'remove': {
+      const counters = state.counters.filter((counter) => counter.id !== action.id);
+      const selectedId = state.selectedId === action.id ? counters[0]?.id ?? null : state.selectedId;
+      return { ...state, counters, selectedId };
+    }
+
+    case 'select':
+      return { ...state, selectedId: action.id };
+
+    // action.at is the time useDashboard stamped on the dashboard action
+    case 'counter':
+      return updateCounter(state, action.id, (counter) => counterReducer(counter, { at: action.at, ...action.action }));
+
+    // replaces every counter, e.g. with the ones read from an exported file
+    case 'import':
+      return { counters: action.counters, selectedId: action.counters[0]?.id ?? null };
+
+    default:
+      throw new Error(`Unknown dashboard action: ${action.type}`);
+  }
+}
@@ -0,0 +1,139 @@
+// Turning counters into files and back: localStorage, JSON and CSV all go
+// through sanitizeCounter, so nothing malformed ever reaches the reducers.
+import { clamp, createCounter, validateSettings } from '../reducers/counterReducer';
+
+const CSV_COLUMNS = ['name', 'value', 'min', 'max', 'step', 'initialValue'];
+
+export function createId() {
+  return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+const isNumberList = (list) => Array.isArray(list) && list.every(Number.isFinite);
+
+const isEvent = (event) =>
+  event && typeof event.type === 'string' && [event.at, event.delta, event.value].every(Number.isFinite);
+
+// Builds a valid named counter from untrusted data, or returns null
+export function sanitizeCounter(raw, id = createId()) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const settings = {
+    min: Number(raw.min),
+    max: Number(raw.max),
+    step: Number(raw.step),
+    initialValue: Number(raw.initialValue),
+  };
+  if (validateSettings(settings)) return null;
+
+  const counter = createCounter(settings);
+  const value = Number(raw.value);
+  return {
+    id,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Untitled',
+    ...counter,
+    value: Number.isFinite(value) ? clamp(value, counter.min, counter.max) : counter.value,
+    past: isNumberList(raw.past) ? raw.past : [],
+    future: isNumberList(raw.future) ? raw.future : [],
+    events: Array.isArray(raw.events) ? raw.events.filter(isEvent) : [],
+  };
+}
+
+// Exports keep the values and settings; undo history and timeline stay in this browser
+function exportFields(counter) {
+  return Object.fromEntries(CSV_COLUMNS.map((column) => [column, counter[column]]));
+}
+
+export function countersToJSON(counters) {
+  return JSON.stringify({ version: 1, counters: counters.map(exportFields) }, null, 2);
+}
+
+// Text a spreadsheet would run as a formula (CSV injection): = + - @, tab and CR
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quotes a CSV field when it contains a comma, quote or line break. Text that
+// starts like a formula gets a leading ' so spreadsheets show it as text;
+// numbers are left alone, so -5 stays a number.
+function csvField(value) {
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undoes csvField's formula guard on import
+function fromCsvField(field) {
+  return field?.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+export function countersToCSV(counters) {
+  const rows = counters.map((counter) => CSV_COLUMNS.map((column) => csvField(counter[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// Splits CSV text into rows of fields, handling quoted fields with commas,
+// escaped quotes ("") and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+function recordsFromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  const columns = (header ?? []).map((column) => column.trim());
+  if (!CSV_COLUMNS.every((column) => columns.includes(column))) {
+    throw new Error(`CSV header must contain: ${CSV_COLUMNS.join(', ')}`);
+  }
+  return rows.map((fields) => Object.fromEntries(columns.map((column, i) => [column, fromCsvField(fields[i])])));
+}
+
+function recordsFromJSON(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data?.counters;
+  if (!Array.isArray(records)) throw new Error('JSON must be a list of counters or { "counters": [...] }');
+  return records;
+}
+
+// Reads an exported file back into counters. Invalid rows are skipped and
+// counted; a file with no valid counter at all is an error.
+export function parseCounters(text, fileName = '') {
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  const records = isJSON ? recordsFromJSON(text) : recordsFromCSV(text);
+
+  const counters = records.map((record) => sanitizeCounter(record)).filter(Boolean);
+  if (counters.length === 0) throw new Error('No valid counters found in the file');
+
+  return { counters, skipped: records.length - counters.length };
+}
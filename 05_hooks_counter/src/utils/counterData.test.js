@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { countersToCSV, parseCounters } from './counterData';
+
+const counter = (name, value = 0) => ({ name, value, min: -10, max: 10, step: 1, initialValue: 0 });
+
+describe('CSV export', () => {
+  it.each(['=HYPERLINK("http://x","click")', '+1+1', '-2+3', '@SUM(A1)'])('writes %s as text, not a formula', (name) => {
+    const row = countersToCSV([counter(name)]).split('\n')[1];
+    expect(row.replace(/^"/, '')).toMatch(/^'/);
+    expect(parseCounters(countersToCSV([counter(name)]), 'counters.csv').counters[0].name).toBe(name);
+  });
+
+  it('leaves negative numbers and ordinary names alone', () => {
+    expect(countersToCSV([counter('Laps', -5)]).split('\n')[1]).toBe('Laps,-5,-10,10,1,0');
+  });
+
+  it("keeps a name's own leading quote", () => {
+    const csv = countersToCSV([counter("'til dawn")]);
+    expect(parseCounters(csv, 'counters.csv').counters[0].name).toBe("'til dawn");
+  });
+});
@@ -0,0 +1,102 @@
+// Helpers for the tally timeline: each counter keeps a list of
+// { at, type, delta, value } events (see counterReducer), and these
+// functions cut it down to a time range and summarize it.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Quick picks for the range filter; 'custom' uses the two date inputs
+export const RANGE_PRESETS = [
+  { id: 'hour', label: 'Last hour', span: HOUR },
+  { id: 'day', label: 'Last 24 hours', span: DAY },
+  { id: 'week', label: 'Last 7 days', span: 7 * DAY },
+  { id: 'all', label: 'All time', span: null },
+  { id: 'custom', label: 'Custom', span: null },
+];
+
+// Resolves the filter to { from, to } timestamps; null means open-ended
+export function resolveRange(presetId, custom, now) {
+  if (presetId === 'custom') {
+    return { from: parseDateInput(custom.from), to: parseDateInput(custom.to) };
+  }
+  const preset = RANGE_PRESETS.find((item) => item.id === presetId);
+  return preset?.span ? { from: now - preset.span, to: now } : { from: null, to: null };
+}
+
+export function filterEvents(events, { from, to }) {
+  return events.filter((event) => (from === null || event.at >= from) && (to === null || event.at <= to));
+}
+
+// The changes that were undone and not redone since. Undo and redo walk the
+// same history as counterReducer's past/future: undo takes the latest change
+// back, redo puts it again, and a new change drops whatever could be redone.
+// Pass all of a counter's events, so an undo can find a change from before the range.
+export function undoneEvents(events) {
+  const cancelled = new Set();
+  const done = [];
+  let redoable = [];
+  for (const event of events) {
+    if (event.type === 'undo') {
+      const change = done.pop();
+      if (change) {
+        cancelled.add(change);
+        redoable.unshift(change);
+      }
+    } else if (event.type === 'redo') {
+      const change = redoable.shift();
+      if (change) {
+        cancelled.delete(change);
+        done.push(change);
+      }
+    } else if (event.type !== 'configure') {
+      done.push(event);
+      redoable = [];
+    }
+  }
+  return cancelled;
+}
+
+// Increments, decrements and their rates over the range. Tallies in `undone`
+// (see undoneEvents) don't count: a click and its undo is no tally at all.
+// Net is the real change in value, undos included. Open ends are closed by
+// the first/last event, and the span never counts as less than a minute, so
+// two quick clicks don't read as thousands per hour.
+export function tallyStats(events, { from, to }, undone = new Set()) {
+  const counts = (type) => events.filter((event) => event.type === type && !undone.has(event)).length;
+  const increments = counts('increment');
+  const decrements = counts('decrement');
+  const net = events.reduce((sum, event) => sum + event.delta, 0);
+
+  if (events.length === 0) return { increments, decrements, net, perMinute: 0, perHour: 0 };
+
+  const start = from ?? events[0].at;
+  const end = to ?? events[events.length - 1].at;
+  const span = Math.max(end - start, MINUTE);
+  const tallies = increments + decrements;
+
+  return {
+    increments,
+    decrements,
+    net: Math.round(net * 1e10) / 1e10,
+    perMinute: (tallies / span) * MINUTE,
+    perHour: (tallies / span) * HOUR,
+  };
+}
+
+// <input type="datetime-local"> works in local time without a zone: "2024-05-01T13:45"
+export function toDateInput(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parseDateInput(text) {
+  if (!text) return null;
+  const time = new Date(text).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+export function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+}
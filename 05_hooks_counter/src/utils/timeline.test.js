@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { counterReducer, createCounter } from '../reducers/counterReducer';
+import { tallyStats, undoneEvents } from './timeline';
+
+const ALL = { from: null, to: null };
+
+// Runs actions through counterReducer, one second apart, like useDashboard stamps them
+function run(actions, counter = createCounter()) {
+  return actions.reduce((state, action, index) => counterReducer(state, { ...action, at: (index + 1) * 1000 }), counter);
+}
+
+function statsOf(counter) {
+  return tallyStats(counter.events, ALL, undoneEvents(counter.events));
+}
+
+describe('undone tallies', () => {
+  it('leaves an undone increment out of the counts and rates', () => {
+    const counter = run([{ type: 'increment' }, { type: 'increment' }, { type: 'undo' }]);
+    expect(counter.value).toBe(16);
+    expect(statsOf(counter)).toMatchObject({ increments: 1, net: 1, perHour: 60 });
+  });
+
+  it('counts a redone increment again', () => {
+    const counter = run([{ type: 'increment' }, { type: 'undo' }, { type: 'redo' }]);
+    expect(statsOf(counter)).toMatchObject({ increments: 1, net: 1 });
+  });
+
+  it('drops what could be redone once a new change comes in', () => {
+    const counter = run([{ type: 'increment' }, { type: 'undo' }, { type: 'decrement' }, { type: 'redo' }]);
+    expect(counter.value).toBe(14);
+    expect(statsOf(counter)).toMatchObject({ increments: 0, decrements: 1, net: -1 });
+  });
+});
+
+describe('undo after new bounds', () => {
+  // 15 -> 16, then min 20 pulls the value up to 20: undo to 15 or 16 would only clamp back to 20
+  const actions = [{ type: 'increment' }, { type: 'configure', settings: { min: 20, initialValue: 20 } }];
+
+  it('drops history outside the new bounds, so no undo step changes nothing', () => {
+    const counter = run(actions);
+    expect(counter.value).toBe(20);
+    expect(counter.past).toEqual([]);
+    expect(counter.future).toEqual([]);
+    expect(run([{ type: 'undo' }], counter)).toBe(counter);
+  });
+
+  it('keeps the reducer and the timeline in step', () => {
+    const counter = run([...actions, { type: 'increment' }, { type: 'undo' }]);
+    expect(counter.value).toBe(20);
+    expect(counter.past).toEqual([]);
+    expect(counter.future).toEqual([21]);
+    // the first increment really happened, the second was undone
+    expect(statsOf(counter)).toMatchObject({ increments: 1, net: 5 });
+  });
+
+  it('keeps history that fits the new bounds', () => {
+    const counter = run([{ type: 'increment' }, { type: 'configure', settings: { step: 5 } }, { type: 'undo' }]);
+    expect(counter.value).toBe(15);
+    expect(counter.future).toEqual([16]);
+    expect(statsOf(counter)).toMatchObject({ increments: 0, net: 0 });
+  });
+});
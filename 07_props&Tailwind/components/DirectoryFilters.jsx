@@ -0,0 +1,72 @@
+import { useContext } from 'react';
+import ThemeContext from '../src/context/ThemeContext';
+import { SORT_OPTIONS } from '../src/utils/directory';
+
+// Search box, filters and sort for the team directory.
+// It only shows the current params and reports changes; App keeps them in the URL.
+const DirectoryFilters = ({ params, locations, jobs, onChange, onClear }) => {
+  const { theme } = useContext(ThemeContext);
+  const isFiltered = params.q || params.location || params.status || params.job;
+  const fieldClass = `border rounded-lg px-3 py-2 focus:outline-none focus:ring-2 ${theme.field} ${theme.ring}`;
+
+  return (
+    <div className={`${theme.surface} rounded-xl shadow p-4 mb-8 flex flex-wrap gap-3 items-end`}>
+      <label className={`flex flex-col text-sm ${theme.muted} grow min-w-48`}>
+        Search
+        <input
+          type="search"
+          value={params.q}
+          onChange={(e) => onChange({ q: e.target.value })}
+          placeholder="Name or skill"
+          className={fieldClass}
+        />
+      </label>
+
+      <label className={`flex flex-col text-sm ${theme.muted}`}>
+        Location
+        <select value={params.location} onChange={(e) => onChange({ location: e.target.value })} className={fieldClass}>
+          <option value="">All locations</option>
+          {locations.map((location) => (
+            <option key={location} value={location}>{location}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className={`flex flex-col text-sm ${theme.muted}`}>
+        Job
+        <select value={params.job} onChange={(e) => onChange({ job: e.target.value })} className={fieldClass}>
+          <option value="">All jobs</option>
+          {jobs.map((job) => (
+            <option key={job} value={job}>{job}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className={`flex flex-col text-sm ${theme.muted}`}>
+        Status
+        <select value={params.status} onChange={(e) => onChange({ status: e.target.value })} className={fieldClass}>
+          <option value="">Anyone</option>
+          <option value="online">Online</option>
+          <option value="offline">Offline</option>
+        </select>
+      </label>
+
+      <label className={`flex flex-col text-sm ${theme.muted}`}>
+        Sort by
+        <select value={params.sort} onChange={(e) => onChange({ sort: e.target.value })} className={fieldClass}>
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {isFiltered && (
+        <button onClick={onClear} className={`px-4 py-2 rounded-lg ${theme.accentText} hover:underline`}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DirectoryFilters;
@@ -0,0 +1,45 @@
+import { useContext } from 'react';
+import ThemeContext, { themes } from '../src/context/ThemeContext';
+
+const VIEWS = [
+  { value: 'grid', label: 'Cards' },
+  { value: 'compact', label: 'Compact' },
+  { value: 'list', label: 'List' },
+];
+
+// How the directory is shown: the card layout (kept in the URL by App) and the color theme
+const DisplayOptions = ({ view, onViewChange }) => {
+  const { theme, themeName, setThemeName } = useContext(ThemeContext);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <div className={`inline-flex rounded-lg border ${theme.border} overflow-hidden`} role="group" aria-label="Layout">
+        {VIEWS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => onViewChange(option.value)}
+            aria-pressed={view === option.value}
+            className={`px-3 py-2 text-sm font-medium ${view === option.value ? theme.accent : `${theme.surface} ${theme.text}`}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <label className={`flex items-center gap-2 text-sm ${theme.muted}`}>
+        Theme
+        <select
+          value={themeName}
+          onChange={(e) => setThemeName(e.target.value)}
+          className={`border rounded-lg px-2 py-2 ${theme.field}`}
+        >
+          {Object.entries(themes).map(([name, tokens]) => (
+            <option key={name} value={name}>{tokens.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default DisplayOptions;
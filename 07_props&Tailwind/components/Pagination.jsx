@@ -0,0 +1,35 @@
+import { useContext } from 'react';
+import ThemeContext from '../src/context/ThemeContext';
+
+// Previous/next and numbered page buttons; hidden when everything fits on one page
+const Pagination = ({ page, pageCount, onChange }) => {
+  const { theme } = useContext(ThemeContext);
+  if (pageCount <= 1) return null;
+
+  const buttonClass = `px-3 py-1 rounded-lg border ${theme.surface} ${theme.secondary} disabled:opacity-50 disabled:cursor-not-allowed`;
+
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+
+  return (
+    <nav className="flex justify-center gap-2 mt-8" aria-label="Pagination">
+      <button onClick={() => onChange(page - 1)} disabled={page === 1} className={buttonClass}>
+        Previous
+      </button>
+      {pages.map((number) => (
+        <button
+          key={number}
+          onClick={() => onChange(number)}
+          aria-current={number === page ? 'page' : undefined}
+          className={number === page ? `px-3 py-1 rounded-lg ${theme.accent}` : buttonClass}
+        >
+          {number}
+        </button>
+      ))}
+      <button onClick={() => onChange(page + 1)} disabled={page === pageCount} className={buttonClass}>
+        Next
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
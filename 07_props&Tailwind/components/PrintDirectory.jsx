@@ -0,0 +1,39 @@
+import ThemeContext, { themes } from '../src/context/ThemeContext';
+import ProfileCard from './ProfileCard';
+
+// Print-only layout (hidden on screen). One person prints as a full card;
+// a whole directory prints as compact rows, several per page. Paper gets
+// the light theme whatever is chosen on screen.
+const PrintDirectory = ({ profiles, title }) => {
+  const single = profiles.length === 1;
+
+  return (
+    <ThemeContext.Provider value={{ themeName: 'light', theme: themes.light, setThemeName: () => {} }}>
+      <section className="hidden print:block">
+        <h1 className="text-2xl font-bold text-gray-800 mb-1">{title}</h1>
+        <p className="text-sm text-gray-500 mb-6">
+          {single ? 'Profile' : `${profiles.length} people`} · printed {new Date().toLocaleDateString()}
+        </p>
+        <div className={single ? '' : 'flex flex-col gap-3'}>
+          {profiles.map((user) => (
+            <ProfileCard
+              key={user.id}
+              id={user.id}
+              name={user.name}
+              age={user.age}
+              job={user.job}
+              location={user.location}
+              skills={user.skills}
+              avatar={user.avatar}
+              isOnline={user.isOnline}
+              variant={single ? 'detailed' : 'horizontal'}
+              size={single ? 'lg' : 'sm'}
+            />
+          ))}
+        </div>
+      </section>
+    </ThemeContext.Provider>
+  );
+};
+
+export default PrintDirectory;
@@ -1,53 +1,232 @@
-import React from 'react';
+import React, { useContext, useState } from 'react';
+import ThemeContext from '../src/context/ThemeContext';
+import { normalizeProfile } from '../src/utils/profileSchema';
+import { downloadFile } from '../src/utils/download';
+import { profileToVCard, vcardFileName } from '../src/utils/vcard';
+
+// "Sarah Johnson" -> "SJ", shown when there is no avatar (or it fails to load)
+const initialsOf = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('') || '?';
+
+const VARIANTS = ['detailed', 'compact', 'horizontal'];
+
+// Class names per size; the layout of each variant stays the same
+const SIZES = {
+  sm: { padding: 'p-3', avatar: 'w-12 h-12 text-base border-2', name: 'text-base', text: 'text-sm', dot: 'w-3 h-3' },
+  md: { padding: 'p-6', avatar: 'w-20 h-20 text-2xl border-4', name: 'text-xl', text: 'text-base', dot: 'w-4 h-4' },
+  lg: { padding: 'p-8', avatar: 'w-28 h-28 text-3xl border-4', name: 'text-2xl', text: 'text-lg', dot: 'w-5 h-5' },
+};
+
+// Unknown variant/size values fall back to the defaults, with a warning
+// in development (once per value, not on every render)
+const reported = new Set();
+
+function checkOption(name, value, allowed, fallback) {
+  if (allowed.includes(value)) return value;
+  const message = `ProfileCard: unknown ${name} ${JSON.stringify(value)}, expected one of ${allowed.join(', ')}`;
+  if (import.meta.env.DEV && value !== undefined && !reported.has(message)) {
+    reported.add(message);
+    console.warn(message);
+  }
+  return fallback;
+}
+
+// Photo with an online dot; initials when there is no photo
+const Avatar = ({ name, avatar, isOnline, size, theme }) => {
+  // Remember which URL failed, so a new avatar gets a fresh try
+  const [failedAvatar, setFailedAvatar] = useState(null);
+  const showAvatar = avatar && avatar !== failedAvatar;
+  const displayName = name || 'Unnamed profile';
 
-// ProfileCard component that receives props
-const ProfileCard = ({ name, age, job, location, skills, avatar, isOnline }) => {
   return (
-    <div className="bg-white shadow-lg rounded-xl p-6 max-w-sm mx-auto transform hover:scale-105 transition-transform duration-300">
-      {/* Avatar section */}
-      <div className="relative mb-4">
-        <img 
-          src={avatar || 'https://via.placeholder.com/100'} 
-          alt={`${name}'s avatar`}
-          className="w-20 h-20 rounded-full mx-auto border-4 border-blue-500"
+    <div className="relative shrink-0 w-fit mx-auto">
+      {showAvatar ? (
+        <img
+          src={avatar}
+          alt={`${displayName}'s avatar`}
+          onError={() => setFailedAvatar(avatar)}
+          className={`${size.avatar} rounded-full object-cover ${theme.accentBorder}`}
         />
-        {/* Online status indicator */}
-        <div className={`absolute bottom-0 right-1/2 transform translate-x-10 w-4 h-4 rounded-full border-2 border-white ${isOnline ? 'bg-green-500' : 'bg-gray-400'}`}></div>
+      ) : (
+        <div
+          role="img"
+          aria-label={`${displayName}'s initials`}
+          className={`${size.avatar} rounded-full font-bold flex items-center justify-center ${theme.accentBorder} ${theme.chip}`}
+        >
+          {initialsOf(name)}
+        </div>
+      )}
+      {/* Online status indicator */}
+      <div className={`absolute bottom-0 right-0 ${size.dot} rounded-full border-2 border-white ${isOnline ? 'bg-green-500' : 'bg-gray-400'}`}></div>
+    </div>
+  );
+};
+
+const StatusBadge = ({ isOnline }) => (
+  <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${isOnline ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+    {isOnline ? 'Online' : 'Offline'}
+  </span>
+);
+
+const SkillList = ({ skills, theme, limit = Infinity }) => {
+  if (skills.length === 0) {
+    return <p className={`${theme.placeholder} italic text-sm`}>No skills listed yet</p>;
+  }
+
+  const shown = skills.slice(0, limit);
+  return (
+    <div className="flex flex-wrap gap-2">
+      {shown.map((skill, index) => (
+        <span key={index} className={`${theme.chip} px-2 py-1 rounded-full text-sm`}>
+          {skill}
+        </span>
+      ))}
+      {skills.length > shown.length && (
+        <span className={`${theme.muted} px-1 py-1 text-sm`}>+{skills.length - shown.length} more</span>
+      )}
+    </div>
+  );
+};
+
+// A field value, or a greyed-out placeholder when it's empty
+const OrPlaceholder = ({ value, placeholder, theme, className = '' }) => (
+  <p className={`${className} ${value ? theme.muted : `${theme.placeholder} italic`}`}>{value || placeholder}</p>
+);
+
+// Downloads the profile as a .vcf file for the address book
+const saveContact = (profile) =>
+  downloadFile(vcardFileName(profile.name), profileToVCard(profile), 'text/vcard;charset=utf-8');
+
+const CardActions = ({ onEdit, onDelete, onPrint, theme, className = '' }) =>
+  (onEdit || onDelete || onPrint) && (
+    <div className={`flex gap-2 print:hidden ${className}`}>
+      {onEdit && (
+        <button onClick={onEdit} className={`flex-1 border font-medium py-1 px-3 rounded-lg transition-colors duration-200 ${theme.secondary}`}>
+          Edit
+        </button>
+      )}
+      {onPrint && (
+        <button onClick={onPrint} className={`flex-1 border font-medium py-1 px-3 rounded-lg transition-colors duration-200 ${theme.secondary}`}>
+          Print
+        </button>
+      )}
+      {onDelete && (
+        <button onClick={onDelete} className="flex-1 border border-red-200 hover:bg-red-50 text-red-600 font-medium py-1 px-3 rounded-lg transition-colors duration-200">
+          Delete
+        </button>
+      )}
+    </div>
+  );
+
+// ProfileCard component that receives props.
+// The props are checked against profileSchema first: wrong or missing
+// fields get a default (and a console warning in development), and the
+// card shows a placeholder for anything it doesn't have.
+//
+// variant: "detailed" (the full card), "compact" (avatar, name and job, for
+// sidebars and dense grids) or "horizontal" (one row, for lists).
+// size: "sm", "md" or "lg". Colors come from the ThemeContext tokens.
+// onEdit, onDelete and onPrint are optional: without them the card is read-only.
+// "Contact" (or the vCard button in the smaller variants) always downloads a vCard;
+// the optional id goes in as its UID, so importing the card twice updates one contact.
+const ProfileCard = ({ id, variant, size, onEdit, onDelete, onPrint, ...props }) => {
+  const profile = normalizeProfile(props);
+  const { name, age, job, location, skills, avatar, isOnline } = profile;
+  const { theme } = useContext(ThemeContext);
+
+  const layout = checkOption('variant', variant, VARIANTS, 'detailed');
+  const sizing = SIZES[checkOption('size', size, Object.keys(SIZES), 'md')];
+  const displayName = name || 'Unnamed profile';
+  const nameClass = `${sizing.name} font-bold ${name ? theme.heading : `${theme.placeholder} italic`}`;
+  const avatarProps = { name, avatar, isOnline, size: sizing, theme };
+  const actionProps = { onEdit, onDelete, onPrint, theme };
+  const vcardButton = (
+    <button
+      onClick={() => saveContact({ ...profile, id })}
+      title={`Save ${displayName} to your contacts (.vcf)`}
+      className={`border font-medium py-1 px-3 rounded-lg transition-colors duration-200 print:hidden ${theme.secondary}`}
+    >
+      vCard
+    </button>
+  );
+
+  if (layout === 'compact') {
+    return (
+      <div className={`${theme.surface} shadow rounded-xl ${sizing.padding} text-center print:shadow-none print:border print:border-gray-300 print:break-inside-avoid`}>
+        <Avatar {...avatarProps} />
+        <h2 className={`${nameClass} mt-2 truncate`}>{displayName}</h2>
+        <OrPlaceholder value={job} placeholder="No job title" theme={theme} className={`${sizing.text} truncate`} />
+        <div className="mt-2 text-sm">{vcardButton}</div>
+        <CardActions {...actionProps} className="mt-2 text-sm" />
+      </div>
+    );
+  }
+
+  if (layout === 'horizontal') {
+    return (
+      <div className={`${theme.surface} shadow rounded-xl ${sizing.padding} flex flex-wrap sm:flex-nowrap items-center gap-4 print:shadow-none print:border print:border-gray-300 print:break-inside-avoid`}>
+        <Avatar {...avatarProps} />
+        <div className="min-w-0 w-48 shrink-0">
+          <h2 className={`${nameClass} truncate`}>{displayName}</h2>
+          <OrPlaceholder value={job} placeholder="No job title" theme={theme} className={`${sizing.text} truncate`} />
+          <OrPlaceholder value={location} placeholder="Location unknown" theme={theme} className="text-sm truncate" />
+        </div>
+        <div className="grow min-w-0">
+          <SkillList skills={skills} theme={theme} limit={4} />
+        </div>
+        <StatusBadge isOnline={isOnline} />
+        <div className="text-sm">{vcardButton}</div>
+        <CardActions {...actionProps} className="text-sm" />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${theme.surface} shadow-lg rounded-xl ${sizing.padding} max-w-sm w-full mx-auto transform hover:scale-105 transition-transform duration-300 print:transform-none print:shadow-none print:border print:border-gray-300 print:break-inside-avoid`}>
+      {/* Avatar section */}
+      <div className="mb-4">
+        <Avatar {...avatarProps} />
       </div>
-      
+
       {/* Name and status */}
       <div className="text-center mb-4">
-        <h2 className="text-xl font-bold text-gray-800">{name}</h2>
-        <p className="text-gray-600">{job}</p>
-        <p className="text-sm text-gray-500">{location}</p>
-        <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${isOnline ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
-          {isOnline ? 'Online' : 'Offline'}
-        </span>
+        <h2 className={nameClass}>{displayName}</h2>
+        <OrPlaceholder value={job} placeholder="No job title" theme={theme} className={sizing.text} />
+        <OrPlaceholder value={location} placeholder="Location unknown" theme={theme} className="text-sm" />
+        <StatusBadge isOnline={isOnline} />
       </div>
-      
+
       {/* Age */}
       <div className="mb-4">
-        <p className="text-gray-700"><span className="font-semibold">Age:</span> {age} years old</p>
+        <p className={theme.text}>
+          <span className="font-semibold">Age:</span>{' '}
+          {age === null ? <span className={`${theme.placeholder} italic`}>not given</span> : `${age} years old`}
+        </p>
       </div>
-      
+
       {/* Skills */}
       <div className="mb-4">
-        <p className="font-semibold text-gray-700 mb-2">Skills:</p>
-        <div className="flex flex-wrap gap-2">
-          {skills.map((skill, index) => (
-            <span key={index} className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-sm">
-              {skill}
-            </span>
-          ))}
-        </div>
+        <p className={`font-semibold ${theme.text} mb-2`}>Skills:</p>
+        <SkillList skills={skills} theme={theme} />
       </div>
-      
-      {/* Contact button */}
-      <button className="w-full bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200">
-        Contact {name}
+
+      {/* Contact button: downloads a vCard for the address book */}
+      <button
+        onClick={() => saveContact({ ...profile, id })}
+        title="Download a vCard (.vcf) for your address book"
+        className={`w-full font-medium py-2 px-4 rounded-lg transition-colors duration-200 print:hidden ${theme.accent}`}
+      >
+        Contact {displayName}
       </button>
+
+      <CardActions {...actionProps} className="mt-2" />
     </div>
   );
 };
 
-export default ProfileCard;
\ No newline at end of file
+export default ProfileCard;
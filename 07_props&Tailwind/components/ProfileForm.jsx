@@ -0,0 +1,142 @@
+import { useContext, useId, useState } from 'react';
+import ThemeContext from '../src/context/ThemeContext';
+import SkillsInput from './SkillsInput';
+import { profileToForm, validateProfileForm } from '../src/utils/profileSchema';
+import { readAvatar } from '../src/utils/avatarFile';
+
+const emptyProfile = { name: '', age: null, job: '', location: '', skills: [], avatar: '', isOnline: false };
+
+// Create/edit form for one profile, shown in place of its ProfileCard.
+// Errors appear once the user has tried to save, then update as they type.
+const ProfileForm = ({ profile = emptyProfile, onSave, onCancel, onDelete }) => {
+  const [values, setValues] = useState(() => profileToForm(profile));
+  const [submitted, setSubmitted] = useState(false);
+  const [avatarError, setAvatarError] = useState('');
+  const fieldId = useId();
+  const { theme } = useContext(ThemeContext);
+  const inputClass = `w-full border rounded-lg px-3 py-2 focus:outline-none focus:ring-2 ${theme.field} ${theme.ring}`;
+  const labelClass = `block text-sm font-medium mb-1 ${theme.text}`;
+
+  const { profile: result, errors } = validateProfileForm(values);
+  const shownErrors = submitted ? errors : {};
+  const isNew = onDelete === undefined;
+
+  const setField = (field, value) => setValues((prev) => ({ ...prev, [field]: value }));
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so choosing the same file again still fires onChange
+    if (!file) return;
+
+    try {
+      setField('avatar', await readAvatar(file));
+      setAvatarError('');
+    } catch (error) {
+      setAvatarError(error.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (Object.keys(errors).length === 0) onSave(result);
+  };
+
+  const errorText = (field) =>
+    shownErrors[field] && (
+      <p id={`${fieldId}-${field}-error`} className="text-sm text-red-600 mt-1">{shownErrors[field]}</p>
+    );
+
+  const fieldProps = (field) => ({
+    id: `${fieldId}-${field}`,
+    'aria-invalid': Boolean(shownErrors[field]),
+    'aria-describedby': shownErrors[field] ? `${fieldId}-${field}-error` : undefined,
+  });
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className={`${theme.surface} shadow-lg rounded-xl p-6 max-w-sm mx-auto w-full space-y-4`}>
+      <h2 className={`text-xl font-bold ${theme.heading}`}>{isNew ? 'New profile' : `Edit ${profile.name || 'profile'}`}</h2>
+
+      {/* Avatar upload with preview */}
+      <div className="flex items-center gap-4">
+        {values.avatar ? (
+          <img src={values.avatar} alt="Avatar preview" className={`w-20 h-20 rounded-full border-4 object-cover ${theme.accentBorder}`} />
+        ) : (
+          <div className={`w-20 h-20 rounded-full border-4 border-dashed flex items-center justify-center text-sm ${theme.border} ${theme.placeholder}`}>
+            No photo
+          </div>
+        )}
+        <div className="space-y-1">
+          <label className={`inline-block cursor-pointer hover:underline font-medium ${theme.accentText}`}>
+            {values.avatar ? 'Change photo' : 'Upload photo'}
+            <input type="file" accept="image/*" onChange={handleAvatarChange} className="sr-only" />
+          </label>
+          {values.avatar && (
+            <button type="button" onClick={() => setField('avatar', '')} className={`block text-sm hover:text-red-600 ${theme.muted}`}>
+              Remove photo
+            </button>
+          )}
+          {avatarError && <p className="text-sm text-red-600">{avatarError}</p>}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`${fieldId}-name`} className={labelClass}>Name *</label>
+        <input {...fieldProps('name')} value={values.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} />
+        {errorText('name')}
+      </div>
+
+      <div>
+        <label htmlFor={`${fieldId}-age`} className={labelClass}>Age</label>
+        <input
+          {...fieldProps('age')}
+          type="number"
+          min="0"
+          max="150"
+          value={values.age}
+          onChange={(e) => setField('age', e.target.value)}
+          className={inputClass}
+        />
+        {errorText('age')}
+      </div>
+
+      <div>
+        <label htmlFor={`${fieldId}-job`} className={labelClass}>Job</label>
+        <input {...fieldProps('job')} value={values.job} onChange={(e) => setField('job', e.target.value)} className={inputClass} />
+      </div>
+
+      <div>
+        <label htmlFor={`${fieldId}-location`} className={labelClass}>Location</label>
+        <input {...fieldProps('location')} value={values.location} onChange={(e) => setField('location', e.target.value)} className={inputClass} />
+      </div>
+
+      <div>
+        <label htmlFor={`${fieldId}-skills`} className={labelClass}>Skills</label>
+        <SkillsInput id={`${fieldId}-skills`} skills={values.skills} onChange={(skills) => setField('skills', skills)} />
+        {errorText('skills')}
+      </div>
+
+      <label className={`flex items-center gap-2 ${theme.text}`}>
+        <input type="checkbox" checked={values.isOnline} onChange={(e) => setField('isOnline', e.target.checked)} className="w-4 h-4" />
+        Online now
+      </label>
+
+      <div className="flex gap-2 pt-2">
+        <button type="submit" className={`flex-1 font-medium py-2 px-4 rounded-lg transition-colors duration-200 ${theme.accent}`}>
+          {isNew ? 'Add profile' : 'Save'}
+        </button>
+        <button type="button" onClick={onCancel} className={`flex-1 border font-medium py-2 px-4 rounded-lg ${theme.secondary}`}>
+          Cancel
+        </button>
+      </div>
+
+      {!isNew && (
+        <button type="button" onClick={onDelete} className="w-full text-sm text-red-600 hover:text-red-800">
+          Delete this profile
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default ProfileForm;
@@ -0,0 +1,56 @@
+import { useContext, useState } from 'react';
+import ThemeContext from '../src/context/ThemeContext';
+import { MAX_SKILL_LENGTH } from '../src/utils/profileSchema';
+
+// Tag editor for skills: Enter or comma adds the typed skill, × removes one,
+// and Backspace in the empty box removes the last. Duplicates are ignored.
+const SkillsInput = ({ id, skills, onChange }) => {
+  const [draft, setDraft] = useState('');
+  const { theme } = useContext(ThemeContext);
+
+  const addDraft = () => {
+    const skill = draft.trim().slice(0, MAX_SKILL_LENGTH);
+    const exists = skills.some((item) => item.toLowerCase() === skill.toLowerCase());
+    if (skill && !exists) onChange([...skills, skill]);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addDraft();
+    } else if (e.key === 'Backspace' && draft === '' && skills.length > 0) {
+      onChange(skills.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className={`flex flex-wrap gap-2 border rounded-lg p-2 focus-within:ring-2 ${theme.field} ${theme.ring}`}>
+      {skills.map((skill) => (
+        <span key={skill} className={`flex items-center gap-1 px-2 py-1 rounded-full text-sm ${theme.chip}`}>
+          {skill}
+          <button
+            type="button"
+            onClick={() => onChange(skills.filter((item) => item !== skill))}
+            aria-label={`Remove ${skill}`}
+            className="opacity-60 hover:opacity-100"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        id={id}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={addDraft}
+        maxLength={MAX_SKILL_LENGTH}
+        placeholder={skills.length ? 'Add another…' : 'Type a skill and press Enter'}
+        className="grow min-w-32 outline-none px-1 bg-transparent"
+      />
+    </div>
+  );
+};
+
+export default SkillsInput;
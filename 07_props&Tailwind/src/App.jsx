@@ -1,86 +1,211 @@
+import { useContext, useEffect, useState } from "react";
 import ProfileCard from "../components/ProfileCard";
+import DirectoryFilters from "../components/DirectoryFilters";
+import DisplayOptions from "../components/DisplayOptions";
+import Pagination from "../components/Pagination";
+import PrintDirectory from "../components/PrintDirectory";
+import ProfileForm from "../components/ProfileForm";
+import ThemeContext from "./context/ThemeContext";
+import useProfiles from "./hooks/useProfiles";
+import useQueryParams from "./hooks/useQueryParams";
+import { DEFAULT_PARAMS, filterProfiles, paginate, sortProfiles, uniqueValues } from "./utils/directory";
+import { downloadFile } from "./utils/download";
+import { profilesToVCards } from "./utils/vcard";
+
+// Each directory view is the same ProfileCard with a different variant and size
+const VIEW_LAYOUTS = {
+  grid: { container: "grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8", variant: "detailed", size: "md" },
+  compact: { container: "grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4", variant: "compact", size: "sm" },
+  list: { container: "flex flex-col gap-3", variant: "horizontal", size: "sm" },
+};
 
 const App = () => {
-  // Sample user data
-  const users = [
-    {
-      name: "Sarah Johnson",
-      age: 28,
-      job: "Frontend Developer",
-      location: "San Francisco, CA",
-      skills: ["React", "JavaScript", "CSS", "Node.js"],
-      avatar: "https://images.unsplash.com/photo-1531123897727-8f129e1688ce?w=100&h=100&fit=crop&crop=faces",
-      isOnline: true
-    },
-    {
-      name: "Mike Chen",
-      age: 32,
-      job: "UX Designer",
-      location: "New York, NY",
-      skills: ["Figma", "Sketch", "Prototyping", "React.js"],
-      avatar: "https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=100&h=100&fit=crop&crop=face",
-      isOnline: false
-    },
-    {
-      name: "Emily Rodriguez",
-      age: 25,
-      job: "Data Scientist",
-      location: "Austin, TX",
-      skills: ["Python", "Machine Learning", "SQL"],
-      avatar: "https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=100&h=100&fit=crop&crop=face",
-      isOnline: true
+  const { theme } = useContext(ThemeContext);
+
+  // Profiles start from src/data/profiles.json and are saved to localStorage after each edit
+  const { profiles: users, addProfile, updateProfile, removeProfile, resetProfiles } = useProfiles();
+
+  // Which card is open in the form: a profile id, "new", or null
+  const [editingId, setEditingId] = useState(null);
+
+  // Profiles to print: set by a Print button, cleared once the print dialog closes
+  const [printList, setPrintList] = useState(null);
+
+  useEffect(() => {
+    if (!printList) return;
+    const handleAfterPrint = () => setPrintList(null);
+    window.addEventListener("afterprint", handleAfterPrint);
+    window.print();
+    return () => window.removeEventListener("afterprint", handleAfterPrint);
+  }, [printList]);
+
+  // Search, filters, sort and page all live in the URL (?q=react&status=online&page=2)
+  const [params, updateParams] = useQueryParams(DEFAULT_PARAMS);
+
+  // Options for the dropdowns come from the data, not a hardcoded list
+  const locations = uniqueValues(users, "location");
+  const jobs = uniqueValues(users, "job");
+
+  // Any filter change starts again from the first page
+  const handleFilterChange = (changes) => updateParams({ ...changes, page: 1 });
+  const clearFilters = () => updateParams({ q: "", location: "", status: "", job: "", page: 1 });
+
+  const matches = sortProfiles(filterProfiles(users, params), params.sort);
+  const { items, page, pageCount } = paginate(matches, params.page);
+  const view = Object.hasOwn(VIEW_LAYOUTS, params.view) ? params.view : "grid";
+  const layout = VIEW_LAYOUTS[view];
+
+  const handleAdd = (profile) => {
+    addProfile(profile);
+    setEditingId(null);
+  };
+
+  const handleUpdate = (id, profile) => {
+    updateProfile(id, profile);
+    setEditingId(null);
+  };
+
+  const handleDelete = (user) => {
+    if (window.confirm(`Delete ${user.name || "this profile"} from the directory?`)) {
+      removeProfile(user.id);
+      setEditingId(null);
     }
-  ];
+  };
+
+  // Exports and printouts cover everyone matching the filters, not just this page
+  const exportVCards = () =>
+    downloadFile("team-directory.vcf", profilesToVCards(matches), "text/vcard;charset=utf-8");
+
+  const handleReset = () => {
+    if (window.confirm("Replace every profile with the sample team? Your changes will be lost.")) {
+      resetProfiles();
+      setEditingId(null);
+    }
+  };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-8 px-4">
-      <div className="max-w-6xl mx-auto">
+    <div className={`min-h-screen ${theme.page} py-8 px-4 print:bg-none print:bg-white print:p-0`}>
+      <PrintDirectory profiles={printList ?? matches} title="Team Directory" />
+
+      <div className="max-w-6xl mx-auto print:hidden">
         {/* Header */}
         <div className="text-center mb-12">
-          <h1 className="text-4xl font-bold text-gray-800 mb-4">Team Directory</h1>
-          <p className="text-gray-600 text-lg">Meet our amazing team members</p>
+          <h1 className={`text-4xl font-bold ${theme.heading} mb-4`}>Team Directory</h1>
+          <p className={`${theme.muted} text-lg`}>Meet our amazing team members</p>
         </div>
-        
+
+        <DirectoryFilters
+          params={params}
+          locations={locations}
+          jobs={jobs}
+          onChange={handleFilterChange}
+          onClear={clearFilters}
+        />
+
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <p className={theme.muted}>
+            Showing {items.length} of {matches.length} {matches.length === 1 ? "person" : "people"}
+          </p>
+          <DisplayOptions view={view} onViewChange={(view) => updateParams({ view })} />
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={exportVCards}
+              disabled={matches.length === 0}
+              title="Download everyone shown as one .vcf file"
+              className={`px-4 py-2 rounded-lg border ${theme.secondary} disabled:opacity-50`}
+            >
+              Export vCards
+            </button>
+            <button
+              onClick={() => setPrintList(matches)}
+              disabled={matches.length === 0}
+              className={`px-4 py-2 rounded-lg border ${theme.secondary} disabled:opacity-50`}
+            >
+              Print
+            </button>
+            <button onClick={handleReset} className={`px-4 py-2 rounded-lg ${theme.muted} hover:underline`}>
+              Restore sample team
+            </button>
+            <button
+              onClick={() => setEditingId("new")}
+              disabled={editingId === "new"}
+              className={`px-4 py-2 rounded-lg ${theme.accent} font-medium transition-colors duration-200 disabled:opacity-50`}
+            >
+              Add profile
+            </button>
+          </div>
+        </div>
+
+        {editingId === "new" && (
+          <div className="mb-8">
+            <ProfileForm onSave={handleAdd} onCancel={() => setEditingId(null)} />
+          </div>
+        )}
+
         {/* Profile Cards Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-          {users.map((user, index) => (
-            <ProfileCard
-              key={index}
-              name={user.name}
-              age={user.age}
-              job={user.job}
-              location={user.location}
-              skills={user.skills}
-              avatar={user.avatar}
-              isOnline={user.isOnline}
-            />
-          ))}
+        <div className={layout.container}>
+          {items.map((user) =>
+            user.id === editingId ? (
+              <ProfileForm
+                key={user.id}
+                profile={user}
+                onSave={(profile) => handleUpdate(user.id, profile)}
+                onCancel={() => setEditingId(null)}
+                onDelete={() => handleDelete(user)}
+              />
+            ) : (
+              <ProfileCard
+                key={user.id}
+                id={user.id}
+                name={user.name}
+                age={user.age}
+                job={user.job}
+                location={user.location}
+                skills={user.skills}
+                avatar={user.avatar}
+                isOnline={user.isOnline}
+                variant={layout.variant}
+                size={layout.size}
+                onEdit={() => setEditingId(user.id)}
+                onDelete={() => handleDelete(user)}
+                onPrint={() => setPrintList([user])}
+              />
+            )
+          )}
         </div>
+
+        {matches.length === 0 && (
+          <p className={`text-center ${theme.muted} py-12`}>No one matches these filters.</p>
+        )}
+
+        <Pagination page={page} pageCount={pageCount} onChange={(number) => updateParams({ page: number })} />
         
         {/* Props Demo Section */}
-        <div className="mt-16 bg-white rounded-xl shadow-lg p-8">
-          <h2 className="text-2xl font-bold text-gray-800 mb-4">How Props Work Here</h2>
+        <div className={`mt-16 ${theme.surface} rounded-xl shadow-lg p-8`}>
+          <h2 className={`text-2xl font-bold ${theme.heading} mb-4`}>How Props Work Here</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
-              <h3 className="font-semibold text-lg text-gray-700 mb-2">Props Being Passed:</h3>
-              <ul className="text-gray-600 space-y-1">
-                <li>• <code className="bg-gray-100 px-1 rounded">name</code> - String for person's name</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">age</code> - Number for age</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">job</code> - String for job title</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">location</code> - String for location</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">skills</code> - Array of skill strings</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">avatar</code> - String URL for image</li>
-                <li>• <code className="bg-gray-100 px-1 rounded">isOnline</code> - Boolean for status</li>
+              <h3 className={`font-semibold text-lg ${theme.text} mb-2`}>Props Being Passed:</h3>
+              <ul className={`${theme.muted} space-y-1`}>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">name</code> - String for person's name</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">age</code> - Number for age</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">job</code> - String for job title</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">location</code> - String for location</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">skills</code> - Array of skill strings</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">avatar</code> - String URL for image</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">isOnline</code> - Boolean for status</li>
+                <li>• <code className="bg-gray-100 text-gray-800 px-1 rounded">variant</code> / <code className="bg-gray-100 text-gray-800 px-1 rounded">size</code> - Strings choosing the layout</li>
               </ul>
             </div>
             <div>
-              <h3 className="font-semibold text-lg text-gray-700 mb-2">What This Demonstrates:</h3>
-              <ul className="text-gray-600 space-y-1">
+              <h3 className={`font-semibold text-lg ${theme.text} mb-2`}>What This Demonstrates:</h3>
+              <ul className={`${theme.muted} space-y-1`}>
                 <li>• Passing different data types as props</li>
                 <li>• Reusing components with different data</li>
                 <li>• Conditional rendering based on props</li>
                 <li>• Mapping over arrays in props</li>
                 <li>• Default values for props</li>
+                <li>• Reading shared theme values from context</li>
               </ul>
             </div>
           </div>
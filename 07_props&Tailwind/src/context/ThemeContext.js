@@ -0,0 +1,64 @@
+import React from 'react';
+
+// Theme tokens: each theme names the Tailwind classes for the same roles,
+// so components ask for "the accent button" instead of hardcoding blue.
+// `field` is an input's background, text and border; `ring` its focus ring color.
+// Full class names are written out so Tailwind can find them when it scans the source.
+export const themes = {
+  light: {
+    label: 'Light',
+    page: 'bg-gradient-to-br from-blue-50 to-indigo-100',
+    surface: 'bg-white',
+    heading: 'text-gray-800',
+    text: 'text-gray-700',
+    muted: 'text-gray-500',
+    placeholder: 'text-gray-400',
+    border: 'border-gray-300',
+    accent: 'bg-blue-500 hover:bg-blue-600 text-white',
+    accentBorder: 'border-blue-500',
+    accentText: 'text-blue-600',
+    chip: 'bg-blue-100 text-blue-800',
+    secondary: 'border-gray-300 hover:bg-gray-50 text-gray-700',
+    field: 'bg-white text-gray-700 border-gray-300',
+    ring: 'focus:ring-blue-500 focus-within:ring-blue-500',
+  },
+  dark: {
+    label: 'Dark',
+    page: 'bg-gradient-to-br from-gray-900 to-slate-800',
+    surface: 'bg-gray-800',
+    heading: 'text-gray-100',
+    text: 'text-gray-200',
+    muted: 'text-gray-400',
+    placeholder: 'text-gray-500',
+    border: 'border-gray-600',
+    accent: 'bg-sky-500 hover:bg-sky-400 text-gray-900',
+    accentBorder: 'border-sky-400',
+    accentText: 'text-sky-400',
+    chip: 'bg-sky-900 text-sky-100',
+    secondary: 'border-gray-600 hover:bg-gray-700 text-gray-200',
+    field: 'bg-gray-900 text-gray-100 border-gray-600',
+    ring: 'focus:ring-sky-400 focus-within:ring-sky-400',
+  },
+  brand: {
+    label: 'Brand',
+    page: 'bg-gradient-to-br from-violet-100 to-fuchsia-100',
+    surface: 'bg-white',
+    heading: 'text-violet-950',
+    text: 'text-violet-900',
+    muted: 'text-violet-700',
+    placeholder: 'text-violet-400',
+    border: 'border-violet-200',
+    accent: 'bg-violet-600 hover:bg-violet-700 text-white',
+    accentBorder: 'border-fuchsia-500',
+    accentText: 'text-violet-700',
+    chip: 'bg-fuchsia-100 text-fuchsia-800',
+    secondary: 'border-violet-200 hover:bg-violet-50 text-violet-800',
+    field: 'bg-white text-violet-900 border-violet-200',
+    ring: 'focus:ring-violet-500 focus-within:ring-violet-500',
+  },
+};
+
+// Without a provider (e.g. a card rendered on its own) components get the light theme
+const ThemeContext = React.createContext({ themeName: 'light', theme: themes.light, setThemeName: () => {} });
+
+export default ThemeContext;
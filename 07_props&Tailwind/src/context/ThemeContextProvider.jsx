@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from 'react';
+import ThemeContext, { themes } from './ThemeContext';
+
+const STORAGE_KEY = 'team-directory-theme';
+
+const loadThemeName = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return Object.hasOwn(themes, saved) ? saved : 'light';
+};
+
+const ThemeContextProvider = ({ children }) => {
+  // The chosen theme is remembered between visits
+  const [themeName, setThemeName] = useState(loadThemeName);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, themeName);
+  }, [themeName]);
+
+  return (
+    // Every component below can read the tokens with useContext(ThemeContext)
+    <ThemeContext.Provider value={{ themeName, theme: themes[themeName], setThemeName }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+export default ThemeContextProvider;
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { normalizeProfile } from '../utils/profileSchema';
+import sampleProfiles from '../data/profiles.json';
+
+const STORAGE_KEY = 'team-directory-profiles';
+
+const createId = () => crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Every profile goes through the schema on the way in, whether it comes
+// from the sample file or from localStorage, so the rest of the app can
+// trust the fields
+const withId = (profile) => ({ ...normalizeProfile(profile), id: profile.id ? String(profile.id) : createId() });
+
+// Saved profiles if there are any (an empty saved list is kept: everyone was deleted),
+// the sample team from src/data/profiles.json otherwise
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved.filter((profile) => profile && typeof profile === 'object').map(withId);
+  } catch {
+    // Unreadable data: start again from the sample team
+  }
+  return sampleProfiles.map(withId);
+}
+
+// Custom hook: the directory's profiles, with add/update/remove,
+// saved to localStorage after every change
+function useProfiles() {
+  const [profiles, setProfiles] = useState(loadProfiles);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+      // Usually the storage quota, which uploaded avatars can fill up
+      console.error('Could not save profiles:', error);
+    }
+  }, [profiles]);
+
+  const addProfile = (profile) => {
+    const created = withId({ ...profile, id: undefined });
+    setProfiles((prev) => [...prev, created]);
+    return created.id;
+  };
+
+  const updateProfile = (id, changes) =>
+    setProfiles((prev) => prev.map((profile) => (profile.id === id ? withId({ ...profile, ...changes, id }) : profile)));
+
+  const removeProfile = (id) => setProfiles((prev) => prev.filter((profile) => profile.id !== id));
+
+  const resetProfiles = () => setProfiles(sampleProfiles.map(withId));
+
+  return { profiles, addProfile, updateProfile, removeProfile, resetProfiles };
+}
+
+export default useProfiles;
@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+
+// Reads the query string into an object shaped like `defaults`
+// (numbers in `defaults` are parsed back to numbers, whole numbers stay whole: ?page=2.5 is page 3)
+function readParams(defaults) {
+  const search = new URLSearchParams(window.location.search);
+  const params = {};
+
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const raw = search.get(key);
+    if (raw === null) {
+      params[key] = fallback;
+    } else if (typeof fallback === 'number') {
+      const number = Number(raw);
+      if (!Number.isFinite(number)) params[key] = fallback;
+      else params[key] = Number.isInteger(fallback) ? Math.round(number) : number;
+    } else {
+      params[key] = raw;
+    }
+  }
+  return params;
+}
+
+// Only params that differ from their default are written, so the plain URL stays clean
+function writeParams(params, defaults) {
+  const search = new URLSearchParams(window.location.search);
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value === defaults[key] || value === '') search.delete(key);
+    else search.set(key, String(value));
+  }
+
+  const query = search.toString();
+  return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+}
+
+// Custom hook: state that lives in the URL query string, so a view can be
+// shared by copying the address. Updates replace the history entry (typing
+// in a search box shouldn't add one per key), and back/forward still re-reads the URL.
+function useQueryParams(defaults) {
+  const [params, setParams] = useState(() => readParams(defaults));
+
+  useEffect(() => {
+    const url = writeParams(params, defaults);
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(null, '', url);
+    }
+  }, [params, defaults]);
+
+  useEffect(() => {
+    const handlePopState = () => setParams(readParams(defaults));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [defaults]);
+
+  const updateParams = (changes) => setParams((prev) => ({ ...prev, ...changes }));
+
+  return [params, updateParams];
+}
+
+export default useQueryParams;
@@ -0,0 +1,39 @@
+// Uploaded avatars are stored in localStorage as data URLs, so they are
+// scaled down to a small square first: a phone photo would otherwise
+// take megabytes of the ~5 MB storage quota.
+
+const AVATAR_SIZE = 160;
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('That file could not be read as an image.'));
+    };
+    image.src = url;
+  });
+}
+
+// Crops the middle square of the image and returns it as a JPEG data URL
+export async function readAvatar(file) {
+  if (!file.type.startsWith('image/')) throw new Error('Please choose an image file.');
+  if (file.size > MAX_UPLOAD_BYTES) throw new Error('Please choose an image under 5 MB.');
+
+  const image = await loadImage(file);
+  const side = Math.min(image.naturalWidth, image.naturalHeight);
+  const canvas = document.createElement('canvas');
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+  canvas
+    .getContext('2d')
+    .drawImage(image, (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
@@ -0,0 +1,72 @@
+// Search, filter, sort and paging for the team directory.
+// All of them are plain functions of (profiles, params), so the view is
+// fully described by the URL query string.
+
+export const PAGE_SIZE = 6;
+
+// Query-string values used when a param is missing from the URL
+export const DEFAULT_PARAMS = {
+  q: '',
+  location: '',
+  status: '', // '' | 'online' | 'offline'
+  job: '',
+  sort: 'name',
+  page: 1,
+  view: 'grid', // 'grid' | 'compact' | 'list'
+};
+
+export const SORT_OPTIONS = [
+  { value: 'name', label: 'Name (A–Z)' },
+  { value: '-name', label: 'Name (Z–A)' },
+  { value: 'age', label: 'Age (youngest first)' },
+  { value: '-age', label: 'Age (oldest first)' },
+  { value: 'online', label: 'Online first' },
+];
+
+// Distinct values of one field, sorted, for the filter dropdowns
+export const uniqueValues = (profiles, field) =>
+  [...new Set(profiles.map((profile) => profile[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Case-insensitive match on the name or any skill
+function matchesSearch(profile, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return true;
+  return (
+    profile.name.toLowerCase().includes(text) ||
+    profile.skills.some((skill) => skill.toLowerCase().includes(text))
+  );
+}
+
+export function filterProfiles(profiles, { q, location, status, job }) {
+  return profiles.filter(
+    (profile) =>
+      matchesSearch(profile, q) &&
+      (!location || profile.location === location) &&
+      (!job || profile.job === job) &&
+      (!status || profile.isOnline === (status === 'online'))
+  );
+}
+
+const compareBy = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  age: (a, b) => a.age - b.age,
+  online: (a, b) => Number(b.isOnline) - Number(a.isOnline) || a.name.localeCompare(b.name),
+};
+
+// "-field" sorts descending; unknown values fall back to name
+export function sortProfiles(profiles, sort) {
+  const descending = sort.startsWith('-');
+  const field = sort.replace(/^-/, '');
+  const compare = Object.hasOwn(compareBy, field) ? compareBy[field] : compareBy.name;
+  return [...profiles].sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+}
+
+// Rounds the page to a whole number and clamps it into range, so a shared link
+// to page 9 of a shorter list (or to page 2.5) still shows a real page
+export function paginate(profiles, page, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(profiles.length / pageSize));
+  const current = Math.min(Math.max(1, Math.round(page) || 1), pageCount);
+  const start = (current - 1) * pageSize;
+
+  return { items: profiles.slice(start, start + pageSize), page: current, pageCount };
+}
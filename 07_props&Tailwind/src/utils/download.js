@@ -0,0 +1,9 @@
+// Saves text as a file through a temporary download link
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,112 @@
+// Runtime schema for profile data. ProfileCard runs its props through
+// normalizeProfile, so a profile with a missing or mistyped field still
+// renders (with a default) instead of crashing, and in development the
+// console says exactly which field was wrong.
+
+const isString = (value) => typeof value === 'string';
+
+export const profileSchema = {
+  name: { type: 'a string', check: isString, default: '' },
+  age: {
+    type: 'a whole number between 0 and 150',
+    check: (value) => Number.isInteger(value) && value >= 0 && value <= 150,
+    default: null,
+  },
+  job: { type: 'a string', check: isString, default: '' },
+  location: { type: 'a string', check: isString, default: '' },
+  skills: { type: 'an array of strings', check: Array.isArray, default: [] },
+  avatar: { type: 'a string (image URL)', check: isString, default: '' },
+  isOnline: { type: 'a boolean', check: (value) => typeof value === 'boolean', default: false },
+};
+
+// Fields that can't be left out; the others are optional and just fall back quietly
+const requiredFields = ['name'];
+
+const describe = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Returns the profile with every field filled in, plus the problems found
+export function validateProfile(data) {
+  const profile = {};
+  const problems = [];
+
+  for (const [field, rule] of Object.entries(profileSchema)) {
+    const value = data?.[field];
+
+    if (value === undefined || value === null) {
+      if (requiredFields.includes(field)) problems.push(`"${field}" is missing`);
+      profile[field] = rule.default;
+    } else if (!rule.check(value)) {
+      problems.push(`"${field}" should be ${rule.type}, got ${describe(value)} ${JSON.stringify(value)}`);
+      profile[field] = rule.default;
+    } else {
+      profile[field] = value;
+    }
+  }
+
+  // Keep the usable skills rather than dropping the whole list
+  const skills = profile.skills.filter((skill) => isString(skill) && skill.trim() !== '');
+  if (skills.length !== profile.skills.length) {
+    problems.push(`"skills" should only contain non-empty strings, got ${JSON.stringify(profile.skills)}`);
+  }
+  profile.skills = skills;
+  profile.name = profile.name.trim();
+
+  return { profile, problems };
+}
+
+// Each message is only printed once, so re-renders (and StrictMode's double render) don't flood the console
+const reported = new Set();
+
+// Validates, warns in development, and returns the profile with defaults applied
+export function normalizeProfile(data) {
+  const { profile, problems } = validateProfile(data);
+
+  if (import.meta.env.DEV && problems.length > 0) {
+    const message = `ProfileCard: invalid profile for ${JSON.stringify(profile.name || 'an unnamed profile')}:\n- ${problems.join('\n- ')}`;
+    if (!reported.has(message)) {
+      reported.add(message);
+      console.warn(message);
+    }
+  }
+
+  return profile;
+}
+
+// Limits for the edit form
+export const MAX_NAME_LENGTH = 60;
+export const MAX_SKILLS = 12;
+export const MAX_SKILL_LENGTH = 30;
+
+// The form keeps age as text, so an empty field stays empty while typing
+export const profileToForm = (profile) => ({
+  ...profile,
+  age: profile.age === null ? '' : String(profile.age),
+});
+
+// Turns the edit form's values into a profile, with a message for each
+// field the user has to fix (an empty object means it can be saved)
+export function validateProfileForm(values) {
+  const errors = {};
+  const name = values.name.trim();
+  const ageText = values.age.trim();
+  const age = ageText === '' ? null : Number(ageText);
+
+  if (!name) errors.name = 'Name is required.';
+  else if (name.length > MAX_NAME_LENGTH) errors.name = `Keep the name under ${MAX_NAME_LENGTH} characters.`;
+
+  if (age !== null && !profileSchema.age.check(age)) errors.age = 'Age must be a whole number between 0 and 150.';
+
+  if (values.skills.length > MAX_SKILLS) errors.skills = `Up to ${MAX_SKILLS} skills, please.`;
+
+  const profile = {
+    name,
+    age,
+    job: values.job.trim(),
+    location: values.location.trim(),
+    skills: values.skills,
+    avatar: values.avatar,
+    isOnline: values.isOnline,
+  };
+
+  return { profile, errors };
+}
@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { normalizeProfile, profileSchema, validateProfile } from './profileSchema';
+
+const valid = {
+  name: 'Sarah Johnson',
+  age: 28,
+  job: 'Frontend Developer',
+  location: 'Berlin',
+  skills: ['React', 'CSS'],
+  avatar: 'https://example.com/sarah.jpg',
+  isOnline: true,
+};
+
+const defaults = Object.fromEntries(Object.entries(profileSchema).map(([field, rule]) => [field, rule.default]));
+
+describe('validateProfile', () => {
+  it('keeps a valid profile as it is', () => {
+    expect(validateProfile(valid)).toEqual({ profile: valid, problems: [] });
+  });
+
+  it('fills in every field for null or undefined data, and reports the missing name', () => {
+    for (const data of [null, undefined, {}]) {
+      const { profile, problems } = validateProfile(data);
+      expect(profile).toEqual(defaults);
+      expect(problems).toEqual(['"name" is missing']);
+    }
+  });
+
+  it('defaults missing skills to an empty list, without a problem', () => {
+    const { skills: _skills, ...rest } = valid;
+    const { profile, problems } = validateProfile(rest);
+    expect(profile.skills).toEqual([]);
+    expect(problems).toEqual([]);
+  });
+
+  it('rejects age given as a string', () => {
+    const { profile, problems } = validateProfile({ ...valid, age: '28' });
+    expect(profile.age).toBeNull();
+    expect(problems).toEqual(['"age" should be a whole number between 0 and 150, got string "28"']);
+  });
+
+  it.each([-1, 151, 28.5, NaN])('rejects age %s', (age) => {
+    const { profile, problems } = validateProfile({ ...valid, age });
+    expect(profile.age).toBeNull();
+    expect(problems).toHaveLength(1);
+  });
+
+  it('rejects isOnline: "yes" instead of a boolean', () => {
+    const { profile, problems } = validateProfile({ ...valid, isOnline: 'yes' });
+    expect(profile.isOnline).toBe(false);
+    expect(problems).toEqual(['"isOnline" should be a boolean, got string "yes"']);
+  });
+
+  it('keeps the usable skills when some are not strings or are empty', () => {
+    const { profile, problems } = validateProfile({ ...valid, skills: ['React', 42, '', '  ', null, { name: 'CSS' }, 'Node'] });
+    expect(profile.skills).toEqual(['React', 'Node']);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatch(/^"skills" should only contain non-empty strings/);
+  });
+
+  it('replaces skills that are not an array', () => {
+    const { profile, problems } = validateProfile({ ...valid, skills: 'React, CSS' });
+    expect(profile.skills).toEqual([]);
+    expect(problems).toEqual(['"skills" should be an array of strings, got string "React, CSS"']);
+  });
+
+  it('reports every wrong field at once and trims the name', () => {
+    const { profile, problems } = validateProfile({ name: '  Ana  ', job: 7, location: ['Lisbon'], avatar: false });
+    expect(profile).toEqual({ ...defaults, name: 'Ana' });
+    expect(problems).toEqual([
+      '"job" should be a string, got number 7',
+      '"location" should be a string, got array ["Lisbon"]',
+      '"avatar" should be a string (image URL), got boolean false',
+    ]);
+  });
+});
+
+describe('normalizeProfile', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns the profile with defaults applied', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(normalizeProfile({ name: 'Lee', age: 'old', isOnline: 'yes' })).toEqual({ ...defaults, name: 'Lee' });
+  });
+
+  it('warns once per distinct problem, not on every render', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const data = { name: 'Kim', skills: ['Go', ''] };
+
+    normalizeProfile(data);
+    normalizeProfile(data);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('invalid profile for "Kim"');
+
+    normalizeProfile({ ...data, isOnline: 'no' });
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('stays quiet for a valid profile', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    normalizeProfile(valid);
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
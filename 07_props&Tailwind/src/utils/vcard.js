@@ -0,0 +1,73 @@
+// vCard (.vcf) export, so a colleague can be added to any address book
+// (Contacts, Outlook, Google Contacts) without retyping. vCard 3.0 is
+// used because it's the version every one of those imports.
+
+// Commas, semicolons and backslashes separate values in vCard, so they're escaped
+// in text. Line breaks (\r\n, \r or \n) all become \n.
+const escapeText = (text) =>
+  String(text).replace(/\\/g, '\\\\').replace(/\r\n?|\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+const encoder = new TextEncoder();
+
+// Lines longer than 75 bytes of UTF-8 are folded: CRLF, then a space at the
+// start of the continuation (the space counts toward its 75). Cuts fall
+// between code points, so an accented letter or an emoji is never split.
+function foldLine(line) {
+  const parts = [];
+  let part = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = '';
+      bytes = 0;
+    }
+    part += char;
+    bytes += size;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+// "Sarah Johnson" -> family "Johnson", given "Sarah"
+function splitName(name) {
+  const parts = name.trim().split(/\s+/);
+  const family = parts.length > 1 ? parts.pop() : '';
+  return { family, given: parts.join(' ') };
+}
+
+// Uploaded avatars are JPEG data URLs and can be embedded; web images are linked
+function photoLine(avatar) {
+  const embedded = /^data:image\/(jpeg|png|gif);base64,(.+)$/.exec(avatar);
+  if (embedded) return `PHOTO;ENCODING=b;TYPE=${embedded[1].toUpperCase()}:${embedded[2]}`;
+  if (/^https?:\/\//.test(avatar)) return `PHOTO;VALUE=uri:${avatar}`;
+  return null;
+}
+
+// One profile (already normalized by profileSchema) as a vCard
+export function profileToVCard(profile) {
+  const { family, given } = splitName(profile.name);
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeText(family)};${escapeText(given)};;;`,
+    `FN:${escapeText(profile.name || 'Unnamed profile')}`,
+    profile.job && `TITLE:${escapeText(profile.job)}`,
+    // The location is free text ("Austin, TX"), so it goes in as the locality
+    profile.location && `ADR;TYPE=WORK:;;;${escapeText(profile.location)};;;`,
+    profile.skills.length > 0 && `NOTE:${escapeText(`Skills: ${profile.skills.join(', ')}`)}`,
+    profile.avatar && photoLine(profile.avatar),
+    profile.id && `UID:${escapeText(profile.id)}`,
+    'END:VCARD',
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Several contacts go in one file, one vCard after another
+export const profilesToVCards = (profiles) => profiles.map(profileToVCard).join('');
+
+// "Sarah Johnson" -> "sarah-johnson.vcf"
+export const vcardFileName = (name) =>
+  `${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contact'}.vcf`;
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { profileToVCard } from './vcard';
+
+const profile = (fields) => ({
+  name: 'Sarah Johnson',
+  age: 28,
+  job: '',
+  location: '',
+  skills: [],
+  avatar: '',
+  isOnline: false,
+  ...fields,
+});
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+const physicalLines = (card) => card.split('\r\n').slice(0, -1);
+const unfold = (card) => card.replace(/\r\n /g, '');
+
+describe('profileToVCard', () => {
+  it.each([
+    ['an emoji across the cut', { skills: ['x'.repeat(60) + '🎨 Art'] }],
+    ['accented names', { name: 'Zoë Ångström-Müller '.repeat(6).trim(), job: 'Développeuse été '.repeat(8) }],
+    ['CJK text', { location: '東京都渋谷区'.repeat(10) }],
+  ])('folds %s at or under 75 bytes per line, between code points', (_, fields) => {
+    const card = profileToVCard(profile(fields));
+
+    for (const line of physicalLines(card)) expect(byteLength(line)).toBeLessThanOrEqual(75);
+    // no lone surrogate, which a download would turn into U+FFFD
+    for (const line of physicalLines(card)) expect(line.isWellFormed()).toBe(true);
+  });
+
+  it('keeps the text intact once unfolded', () => {
+    const card = unfold(profileToVCard(profile({ skills: ['x'.repeat(60) + '🎨 Art'] })));
+    expect(card).toContain(`NOTE:Skills: ${'x'.repeat(60)}🎨 Art\r\n`);
+  });
+
+  it('writes \\r, \\n and \\r\\n in text as \\n', () => {
+    const card = profileToVCard(profile({ job: 'Lead\r\nDesign\rand\nResearch' }));
+    expect(card).toContain('TITLE:Lead\\nDesign\\nand\\nResearch\r\n');
+    expect(card.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('adds a UID when the profile has an id', () => {
+    expect(profileToVCard(profile({ id: '7' }))).toContain('\r\nUID:7\r\n');
+    expect(profileToVCard(profile())).not.toContain('UID:');
+  });
+});
@@ -1,97 +1,166 @@
 import { useState } from 'react'
+import usePalettes, { isBuiltIn } from './hooks/usePalettes'
+import useColorCycle from './hooks/useColorCycle'
+import useHashSync, { loadInitialColor } from './hooks/useHashSync'
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts'
+import useRecentColors from './hooks/useRecentColors'
+import SwatchBar from './components/SwatchBar'
+import ColorPicker from './components/ColorPicker'
+import PaletteManager from './components/PaletteManager'
+import GradientEditor from './components/GradientEditor'
+import CycleControls from './components/CycleControls'
+import RecentColors from './components/RecentColors'
+import ContrastChecker from './components/ContrastChecker'
+import { DEFAULT_COLOR } from './data/palettes'
+import { DEFAULT_GRADIENT, gradientToCss, sortStops } from './utils/gradient'
+import { randomColor } from './utils/color'
+
+const MODES = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'gradient', label: 'Gradient' },
+  { value: 'cycle', label: 'Cycle' },
+]
 
 function App() {
-  const [bgColor, setBgColor] = useState('cyan')
+  // Colors are always "#rrggbb", whether they come from a swatch, the picker or the URL
+  const [bgColor, setBgColor] = useState(() => loadInitialColor(DEFAULT_COLOR))
+  const [showPanel, setShowPanel] = useState(false)
+  const [showContrast, setShowContrast] = useState(false)
+  const { palettes, customPalettes, activePalette, ...paletteActions } = usePalettes()
+
+  // What fills the screen: the solid bgColor, a gradient, or a timed cycle through the active palette
+  const [mode, setMode] = useState('solid')
+  const [gradient, setGradient] = useState(DEFAULT_GRADIENT)
+  const [cycle, setCycle] = useState({ seconds: 3, easing: 'ease-in-out', running: true })
+  const cycleColor = useColorCycle(activePalette.colors, cycle.seconds * 1000, mode === 'cycle' && cycle.running)
+
+  const backgroundStyles = {
+    solid: { backgroundColor: bgColor },
+    gradient: { backgroundImage: gradientToCss(gradient) },
+    // The transition lasts the whole interval, so the colors flow into each other
+    cycle: { backgroundColor: cycleColor ?? bgColor, transition: `background-color ${cycle.seconds}s ${cycle.easing}` },
+  }
+
+  // The colors text could end up on: every stop of a gradient, every color of a cycle
+  const unique = (colors) => [...new Set(colors)]
+  const backgroundColors = {
+    solid: [bgColor],
+    gradient: unique(sortStops(gradient.stops).map((stop) => stop.color)),
+    cycle: activePalette.colors.length > 0 ? unique(activePalette.colors.map((color) => color.value)) : [bgColor],
+  }
+
+  // Clicking a swatch always goes back to a solid background
+  const selectColor = (color) => {
+    setBgColor(color)
+    setMode('solid')
+  }
+
+  const [recentColors, clearRecentColors] = useRecentColors(bgColor)
+
+  // The color and palette are mirrored in the URL hash (for sharing) and localStorage (for reloads)
+  useHashSync(bgColor, activePalette, !isBuiltIn(activePalette), (shared) => {
+    if (shared.color) selectColor(shared.color)
+    paletteActions.openShared(shared)
+  })
+
+  // Shortcuts: 1-9 and 0 pick a swatch, arrows step through the palette, R picks a random color
+  const swatches = activePalette.colors
+  const step = (offset) => () => {
+    if (swatches.length === 0) return
+    const index = swatches.findIndex((color) => color.value === bgColor)
+    const next = index === -1 ? (offset > 0 ? 0 : swatches.length - 1) : (index + offset + swatches.length) % swatches.length
+    selectColor(swatches[next].value)
+  }
+  const shortcuts = {
+    arrowright: step(1),
+    arrowdown: step(1),
+    arrowleft: step(-1),
+    arrowup: step(-1),
+    r: () => selectColor(randomColor()),
+  }
+  swatches.slice(0, 10).forEach((color, index) => {
+    shortcuts[String((index + 1) % 10)] = () => selectColor(color.value)
+  })
+  useKeyboardShortcuts(shortcuts)
 
   return (
-    <div className='w-full h-screen duration-200'style={{ backgroundColor: bgColor }}>
-      <div className='fixed flex flex-wrap justify-center bottom-12 inset-x-0 px-2'>
-        <div className='flex flex-wrap justify-center gap-3 shadow-lg bg-amber-50 rounded-3xl px-3 py-2'>
-          <button 
-            onClick={() => setBgColor('red')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'red'}}>
-              Red
-          </button>
-          <button 
-            onClick={() => setBgColor('green')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'green'}}>
-              Green
-          </button>
-          <button 
-            onClick={() => setBgColor('skyblue')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'skyblue'}}>
-              Skyblue
-          </button>
-          <button 
-            onClick={() => setBgColor('magenta')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'magenta'}}>
-              Magenta
-          </button>
-          <button 
-            onClick={() => setBgColor('green')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'green'}}>
-              Green
-          </button>
-          <button 
-            onClick={() => setBgColor('cyan')}
-            className='outline-none px-4 py-1 rounded-full text-black shadow-lg'
-            style={{backgroundColor: 'cyan'}}>
-              Cyan
-          </button>
-          <button 
-            onClick={() => setBgColor('purple')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'purple'}}>
-              Purple
-          </button>
-          <button 
-            onClick={() => setBgColor('orange')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'orange'}}>
-              Orange
-          </button>
-          <button 
-            onClick={() => setBgColor('yellow')}
-            className='outline-none px-4 py-1 rounded-full text-black shadow-lg'
-            style={{backgroundColor: 'yellow'}}>
-              Yellow
-          </button>
-          <button 
-            onClick={() => setBgColor('black')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'black'}}>
-              Black
-          </button>
-          <button 
-            onClick={() => setBgColor('white')}
-            className='outline-none px-4 py-1 rounded-full text-black shadow-lg'
-            style={{backgroundColor: 'white'}}>
-              White
-          </button>
-          <button 
-            onClick={() => setBgColor('gray')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'gray'}}>
-              Gray
-          </button>
-          <button 
-            onClick={() => setBgColor('pink')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'pink'}}>
-              Pink
-          </button>
-          <button 
-            onClick={() => setBgColor('brown')}
-            className='outline-none px-4 py-1 rounded-full text-white shadow-lg'
-            style={{backgroundColor: 'brown'}}>
-              Brown
-          </button>
-        </div>
+    <div className='w-full h-screen duration-200' style={backgroundStyles[mode]}>
+      <div className='fixed top-4 left-4 flex flex-col items-start gap-2 max-h-[calc(100vh-8rem)]'>
+        <button
+          onClick={() => setShowContrast((prev) => !prev)}
+          aria-expanded={showContrast}
+          className='outline-none px-4 py-1 rounded-full bg-amber-50 text-gray-800 shadow-lg'>
+            {showContrast ? 'Close' : 'Contrast'}
+        </button>
+
+        {showContrast && (
+          <div className='w-80 overflow-y-auto bg-amber-50 rounded-3xl shadow-lg p-4'>
+            <h2 className='font-semibold text-gray-800 mb-2 text-left'>Contrast check (WCAG)</h2>
+            <ContrastChecker backgrounds={backgroundColors[mode]} />
+          </div>
+        )}
+      </div>
+
+      <div className='fixed top-4 right-4 flex flex-col items-end gap-2 max-h-[calc(100vh-8rem)]'>
+        <button
+          onClick={() => setShowPanel((prev) => !prev)}
+          aria-expanded={showPanel}
+          className='outline-none px-4 py-1 rounded-full bg-amber-50 text-gray-800 shadow-lg'>
+            {showPanel ? 'Close' : 'Customize'}
+        </button>
+
+        {showPanel && (
+          <div className='w-80 overflow-y-auto bg-amber-50 rounded-3xl shadow-lg p-4 space-y-6'>
+            <div className='flex gap-1 bg-white rounded-full p-1' role='tablist'>
+              {MODES.map((option) => (
+                <button
+                  key={option.value}
+                  role='tab'
+                  aria-selected={mode === option.value}
+                  onClick={() => setMode(option.value)}
+                  className={`grow px-3 py-1 rounded-full ${mode === option.value ? 'bg-gray-800 text-white' : 'text-gray-800'}`}>
+                    {option.label}
+                </button>
+              ))}
+            </div>
+
+            {mode === 'gradient' && (
+              <section>
+                <h2 className='font-semibold text-gray-800 mb-2 text-left'>Gradient</h2>
+                <GradientEditor gradient={gradient} onChange={setGradient} currentColor={bgColor} />
+              </section>
+            )}
+            {mode === 'cycle' && (
+              <section>
+                <h2 className='font-semibold text-gray-800 mb-2 text-left'>Cycle</h2>
+                <CycleControls cycle={cycle} onChange={setCycle} palette={activePalette} />
+              </section>
+            )}
+            <section>
+              <h2 className='font-semibold text-gray-800 mb-2 text-left'>Color</h2>
+              <ColorPicker value={bgColor} onChange={setBgColor} />
+            </section>
+            <section>
+              <h2 className='font-semibold text-gray-800 mb-2 text-left'>Palettes</h2>
+              <PaletteManager
+                palettes={palettes}
+                customPalettes={customPalettes}
+                activePalette={activePalette}
+                currentColor={bgColor}
+                actions={paletteActions}
+              />
+            </section>
+            <p className='text-xs text-gray-500 text-left'>
+              Keys: 1-9 and 0 pick a swatch, arrows step through the palette, R for a random color.
+              The address bar always links to what you see.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className='fixed flex flex-col items-center gap-3 bottom-12 inset-x-0 px-2'>
+        <RecentColors colors={recentColors} current={mode === 'solid' ? bgColor : null} onSelect={selectColor} onClear={clearRecentColors} />
+        <SwatchBar palette={activePalette} current={mode === 'solid' ? bgColor : null} onSelect={selectColor} />
       </div>
     </div>
   )
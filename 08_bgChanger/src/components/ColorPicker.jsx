@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { formatHsl, formatRgb, hexToRgb, hslToRgb, parseColor, rgbToHex, rgbToHsl } from '../utils/color'
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-800'
+
+// Color picker with the native color input plus hex, RGB and HSL fields.
+// All fields show the same color: editing one updates the others.
+function ColorPicker({ value, onChange }) {
+  const rgb = hexToRgb(value)
+  const hsl = rgbToHsl(rgb)
+
+  // The text field keeps what is typed until it is a valid color; when the
+  // color changes from outside (a swatch click), the text follows it
+  const [text, setText] = useState(value)
+  const [shownValue, setShownValue] = useState(value)
+  if (shownValue !== value) {
+    setShownValue(value)
+    setText(value)
+  }
+
+  const handleTextChange = (e) => {
+    setText(e.target.value)
+    const parsed = parseColor(e.target.value)
+    if (parsed) onChange(parsed)
+  }
+
+  const setChannel = (channel, number) => onChange(rgbToHex({ ...rgb, [channel]: Number(number) }))
+  const setHslPart = (part, number) => onChange(rgbToHex(hslToRgb({ ...hsl, [part]: Number(number) })))
+
+  const isInvalid = parseColor(text) === null
+
+  return (
+    <div className='space-y-3 text-left'>
+      <div className='flex items-center gap-3'>
+        <input
+          type='color'
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label='Pick a color'
+          className='w-14 h-10 rounded cursor-pointer'
+        />
+        <label className='grow text-sm text-gray-600'>
+          Hex, rgb() or hsl()
+          <input
+            value={text}
+            onChange={handleTextChange}
+            onBlur={() => setText(value)}
+            aria-invalid={isInvalid}
+            spellCheck={false}
+            className={`${inputClass} font-mono ${isInvalid ? 'border-red-500' : ''}`}
+          />
+        </label>
+      </div>
+
+      <fieldset className='grid grid-cols-3 gap-2'>
+        <legend className='text-sm text-gray-600 mb-1'>{formatRgb(rgb)}</legend>
+        {['r', 'g', 'b'].map((channel) => (
+          <label key={channel} className='text-xs text-gray-500 uppercase'>
+            {channel}
+            <input type='number' min='0' max='255' value={rgb[channel]} onChange={(e) => setChannel(channel, e.target.value)} className={inputClass} />
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className='grid grid-cols-3 gap-2'>
+        <legend className='text-sm text-gray-600 mb-1'>{formatHsl(hsl)}</legend>
+        {[['h', 360], ['s', 100], ['l', 100]].map(([part, max]) => (
+          <label key={part} className='text-xs text-gray-500 uppercase'>
+            {part}
+            <input type='number' min='0' max={max} value={Math.round(hsl[part])} onChange={(e) => setHslPart(part, e.target.value)} className={inputClass} />
+          </label>
+        ))}
+      </fieldset>
+    </div>
+  )
+}
+
+export default ColorPicker
@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import { WCAG_CHECKS, checkContrast, formatRatio, suggestForeground } from '../utils/contrast'
+import { parseColor } from '../utils/color'
+
+const inputClass = 'border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-800'
+
+// WCAG contrast of text colors on the current background: the ratio,
+// AA/AAA pass or fail for normal and large text, and the nearest passing
+// color for any text color that misses the chosen target.
+function ContrastChecker({ backgrounds }) {
+  const [foregrounds, setForegrounds] = useState(['#000000', '#ffffff'])
+  const [targetId, setTargetId] = useState('aa-normal')
+  const [backgroundIndex, setBackgroundIndex] = useState(0)
+  const [draft, setDraft] = useState('#336699')
+
+  // Gradients and cycles have several background colors; each can be checked
+  const background = backgrounds[Math.min(backgroundIndex, backgrounds.length - 1)]
+  const target = WCAG_CHECKS.find((check) => check.id === targetId)
+
+  const replaceForeground = (index, color) =>
+    setForegrounds((prev) => prev.map((item, i) => (i === index ? color : item)))
+
+  const addForeground = (e) => {
+    e.preventDefault()
+    const color = parseColor(draft)
+    if (color && !foregrounds.includes(color)) setForegrounds((prev) => [...prev, color])
+  }
+
+  return (
+    <div className='space-y-3 text-left text-gray-800'>
+      {backgrounds.length > 1 && (
+        <div className='flex flex-wrap items-center gap-1'>
+          <span className='text-sm text-gray-600 mr-1'>Background</span>
+          {backgrounds.map((color, index) => (
+            <button
+              key={`${color}-${index}`}
+              onClick={() => setBackgroundIndex(index)}
+              aria-pressed={color === background}
+              title={color}
+              className={`w-6 h-6 rounded-full border border-gray-300 ${color === background ? 'ring-2 ring-offset-1 ring-gray-800' : ''}`}
+              style={{ backgroundColor: color }}>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <label className='block text-sm text-gray-600'>
+        Suggest colors that pass
+        <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className={`${inputClass} block w-full`}>
+          {WCAG_CHECKS.map((check) => (
+            <option key={check.id} value={check.id}>
+              {check.level} {check.size} text ({check.ratio}:1)
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <ul className='space-y-3'>
+        {foregrounds.map((foreground, index) => {
+          const { ratio, checks } = checkContrast(foreground, background)
+          const suggestion = ratio < target.ratio ? suggestForeground(foreground, background, target.ratio) : null
+
+          return (
+            <li key={`${foreground}-${index}`} className='rounded-xl border border-gray-300 bg-white p-2 space-y-2'>
+              <div className='rounded-lg px-3 py-2' style={{ backgroundColor: background, color: foreground }}>
+                <p className='text-sm'>Normal text sample</p>
+                <p className='text-2xl font-semibold'>Large text</p>
+              </div>
+
+              <div className='flex items-center gap-2'>
+                <input
+                  type='color'
+                  value={foreground}
+                  onChange={(e) => replaceForeground(index, e.target.value)}
+                  aria-label={`Text color ${index + 1}`}
+                  className='w-8 h-8 rounded cursor-pointer'
+                />
+                <span className='font-mono text-sm'>{foreground}</span>
+                <span className='ml-auto font-semibold'>{formatRatio(ratio)}</span>
+                <button
+                  onClick={() => setForegrounds((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={foregrounds.length === 1}
+                  aria-label={`Remove ${foreground}`}
+                  className='text-gray-400 hover:text-red-600 disabled:opacity-30'>
+                    ×
+                </button>
+              </div>
+
+              <div className='grid grid-cols-4 gap-1 text-xs text-center'>
+                {checks.map((check) => (
+                  <span
+                    key={check.id}
+                    title={`Needs ${check.ratio}:1`}
+                    className={`rounded px-1 py-0.5 ${check.pass ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      {check.level} {check.size === 'large' ? 'Large' : 'Normal'} {check.pass ? '✓' : '✗'}
+                  </span>
+                ))}
+              </div>
+
+              {ratio < target.ratio && (
+                suggestion ? (
+                  <div className='flex items-center gap-2 text-sm'>
+                    <span className='w-5 h-5 rounded border border-gray-300' style={{ backgroundColor: suggestion }}></span>
+                    <span>
+                      Nearest passing: <span className='font-mono'>{suggestion}</span> ({formatRatio(checkContrast(suggestion, background).ratio)})
+                    </span>
+                    <button onClick={() => replaceForeground(index, suggestion)} className='ml-auto px-2 rounded-lg border border-gray-300 hover:bg-gray-100'>
+                      Use
+                    </button>
+                  </div>
+                ) : (
+                  <p className='text-sm text-red-700'>No shade of this color reaches {target.ratio}:1 on this background.</p>
+                )
+              )}
+            </li>
+          )
+        })}
+      </ul>
+
+      <form onSubmit={addForeground} className='flex gap-2'>
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          aria-label='Text color to add'
+          spellCheck={false}
+          className={`${inputClass} grow min-w-0 font-mono`}
+        />
+        <button type='submit' disabled={!parseColor(draft)} className='px-3 py-1 rounded-lg border border-gray-300 bg-white hover:bg-gray-100 disabled:opacity-50'>
+          Add text color
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ContrastChecker
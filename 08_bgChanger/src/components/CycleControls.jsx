@@ -0,0 +1,45 @@
+const EASINGS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out']
+
+// Settings for cycle mode, which fades through the active palette on a timer
+function CycleControls({ cycle, onChange, palette }) {
+  const update = (changes) => onChange({ ...cycle, ...changes })
+
+  return (
+    <div className='space-y-3 text-left text-gray-800'>
+      <p className='text-sm text-gray-600'>
+        Cycling through <strong>{palette.name}</strong> ({palette.colors.length} colors).
+        {palette.colors.length < 2 && ' Pick a palette with at least two colors.'}
+      </p>
+
+      <label className='block text-sm text-gray-600'>
+        Every {cycle.seconds} s
+        <input
+          type='range'
+          min='0.5'
+          max='30'
+          step='0.5'
+          value={cycle.seconds}
+          onChange={(e) => update({ seconds: Number(e.target.value) })}
+          className='w-full'
+        />
+      </label>
+
+      <label className='block text-sm text-gray-600'>
+        Easing
+        <select value={cycle.easing} onChange={(e) => update({ easing: e.target.value })} className='block border border-gray-300 rounded-lg px-2 py-1 bg-white'>
+          {EASINGS.map((easing) => (
+            <option key={easing} value={easing}>{easing}</option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        onClick={() => update({ running: !cycle.running })}
+        className='px-3 py-1 rounded-lg border border-gray-300 bg-white hover:bg-gray-100'>
+          {cycle.running ? 'Pause' : 'Play'}
+      </button>
+    </div>
+  )
+}
+
+export default CycleControls
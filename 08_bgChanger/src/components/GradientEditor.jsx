@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { MAX_STOPS, MIN_STOPS, gradientCssSnippet, gradientToCss } from '../utils/gradient'
+
+const buttonClass = 'px-3 py-1 rounded-lg border border-gray-300 bg-white text-gray-800 hover:bg-gray-100 disabled:opacity-50'
+
+// Editor for a linear or radial gradient: type, angle or shape, and the
+// color stops. Below it, the CSS for the current gradient, ready to copy.
+function GradientEditor({ gradient, onChange, currentColor }) {
+  const [copied, setCopied] = useState(false)
+  const snippet = gradientCssSnippet(gradient)
+
+  const update = (changes) => onChange({ ...gradient, ...changes })
+  const updateStop = (index, changes) =>
+    update({ stops: gradient.stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)) })
+
+  // New stops take the current background color, halfway along the widest gap
+  const addStop = () => {
+    const positions = gradient.stops.map((stop) => stop.position).sort((a, b) => a - b)
+    let position = 50
+    let widest = -1
+    for (let i = 1; i < positions.length; i++) {
+      if (positions[i] - positions[i - 1] > widest) {
+        widest = positions[i] - positions[i - 1]
+        position = Math.round((positions[i] + positions[i - 1]) / 2)
+      }
+    }
+    update({ stops: [...gradient.stops, { color: currentColor, position }] })
+  }
+
+  const copySnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch {
+      // Clipboard access can be refused; the snippet is still there to select by hand
+    }
+  }
+
+  return (
+    <div className='space-y-3 text-left text-gray-800'>
+      <div className='flex gap-2'>
+        {['linear', 'radial'].map((type) => (
+          <button
+            key={type}
+            onClick={() => update({ type })}
+            aria-pressed={gradient.type === type}
+            className={`${buttonClass} capitalize ${gradient.type === type ? 'ring-2 ring-gray-800' : ''}`}>
+              {type}
+          </button>
+        ))}
+      </div>
+
+      {gradient.type === 'linear' ? (
+        <label className='block text-sm text-gray-600'>
+          Angle: {gradient.angle}°
+          <input type='range' min='0' max='360' value={gradient.angle} onChange={(e) => update({ angle: Number(e.target.value) })} className='w-full' />
+        </label>
+      ) : (
+        <label className='block text-sm text-gray-600'>
+          Shape
+          <select value={gradient.shape} onChange={(e) => update({ shape: e.target.value })} className='block border border-gray-300 rounded-lg px-2 py-1 bg-white'>
+            <option value='circle'>Circle</option>
+            <option value='ellipse'>Ellipse</option>
+          </select>
+        </label>
+      )}
+
+      <div className='h-8 rounded-lg border border-gray-300' style={{ backgroundImage: gradientToCss({ ...gradient, type: 'linear', angle: 90 }) }}></div>
+
+      <ul className='space-y-2'>
+        {gradient.stops.map((stop, index) => (
+          <li key={index} className='flex items-center gap-2'>
+            <input
+              type='color'
+              value={stop.color}
+              onChange={(e) => updateStop(index, { color: e.target.value })}
+              aria-label={`Stop ${index + 1} color`}
+              className='w-10 h-8 rounded cursor-pointer'
+            />
+            <input
+              type='range'
+              min='0'
+              max='100'
+              value={stop.position}
+              onChange={(e) => updateStop(index, { position: Number(e.target.value) })}
+              aria-label={`Stop ${index + 1} position`}
+              className='grow'
+            />
+            <span className='w-10 text-right text-sm text-gray-600'>{stop.position}%</span>
+            <button
+              onClick={() => update({ stops: gradient.stops.filter((_, i) => i !== index) })}
+              disabled={gradient.stops.length <= MIN_STOPS}
+              aria-label={`Remove stop ${index + 1}`}
+              className='text-gray-400 hover:text-red-600 disabled:opacity-30'>
+                ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button onClick={addStop} disabled={gradient.stops.length >= MAX_STOPS} className={buttonClass}>
+        Add stop
+      </button>
+
+      <div>
+        <div className='flex items-center justify-between mb-1'>
+          <span className='text-sm text-gray-600'>CSS</span>
+          <button onClick={copySnippet} className={buttonClass}>{copied ? 'Copied!' : 'Copy'}</button>
+        </div>
+        <pre className='text-xs bg-white border border-gray-300 rounded-lg p-2 whitespace-pre-wrap break-all select-all'>{snippet}</pre>
+      </div>
+    </div>
+  )
+}
+
+export default GradientEditor
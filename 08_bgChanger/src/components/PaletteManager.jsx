@@ -0,0 +1,110 @@
+import { useRef, useState } from 'react'
+import { isBuiltIn } from '../hooks/usePalettes'
+import { palettesToJSON, parsePalettes } from '../utils/paletteFile'
+import { downloadFile } from '../utils/download'
+
+const inputClass = 'border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-800'
+const buttonClass = 'px-3 py-1 rounded-lg border border-gray-300 bg-white text-gray-800 hover:bg-gray-100 disabled:opacity-50'
+
+// Choose the active palette, build custom ones from picked colors,
+// and move them between browsers as JSON files
+function PaletteManager({ palettes, customPalettes, activePalette, currentColor, actions }) {
+  const [colorName, setColorName] = useState('')
+  const [paletteName, setPaletteName] = useState('')
+  const [message, setMessage] = useState('')
+  const fileInput = useRef(null)
+  const editable = !isBuiltIn(activePalette)
+
+  const addCurrentColor = (e) => {
+    e.preventDefault()
+    actions.addColor(activePalette.id, { name: colorName.trim() || currentColor, value: currentColor })
+    setColorName('')
+  }
+
+  // A new palette starts as a copy of the active one, so built-ins can be customized
+  const saveAsNew = (e) => {
+    e.preventDefault()
+    const name = paletteName.trim() || `${activePalette.name} copy`
+    actions.createPalette(name, activePalette.colors)
+    setPaletteName('')
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the palette "${activePalette.name}"?`)) actions.deletePalette(activePalette.id)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const { palettes: imported, skipped } = parsePalettes(await file.text())
+      actions.importPalettes(imported)
+      setMessage(`Imported ${imported.length} palette${imported.length === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} without valid colors` : ''}.`)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  return (
+    <div className='space-y-3 text-left'>
+      <div className='flex gap-2'>
+        <select
+          value={activePalette.id}
+          onChange={(e) => actions.setActiveId(e.target.value)}
+          aria-label='Palette'
+          className={`${inputClass} grow`}
+        >
+          {palettes.map((palette) => (
+            <option key={palette.id} value={palette.id}>
+              {palette.name}{isBuiltIn(palette) ? '' : ' (custom)'}
+            </option>
+          ))}
+        </select>
+        {editable && <button onClick={handleDelete} className={buttonClass}>Delete</button>}
+      </div>
+
+      {editable ? (
+        <>
+          <ul className='flex flex-wrap gap-1'>
+            {activePalette.colors.map((color, index) => (
+              <li key={`${color.value}-${index}`} className='flex items-center gap-1 rounded-full border border-gray-300 pl-1 pr-2 text-sm text-gray-700'>
+                <span className='w-4 h-4 rounded-full border border-gray-300' style={{ backgroundColor: color.value }}></span>
+                {color.name}
+                <button onClick={() => actions.removeColor(activePalette.id, index)} aria-label={`Remove ${color.name}`} className='text-gray-400 hover:text-red-600'>×</button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={addCurrentColor} className='flex gap-2'>
+            <input value={colorName} onChange={(e) => setColorName(e.target.value)} placeholder={`Name for ${currentColor}`} className={`${inputClass} grow min-w-0`} />
+            <button type='submit' className={buttonClass}>Add color</button>
+          </form>
+        </>
+      ) : (
+        <p className='text-sm text-gray-500'>Built-in palettes can't be changed. Save a copy to edit it.</p>
+      )}
+
+      <form onSubmit={saveAsNew} className='flex gap-2'>
+        <input value={paletteName} onChange={(e) => setPaletteName(e.target.value)} placeholder={`${activePalette.name} copy`} className={`${inputClass} grow min-w-0`} />
+        <button type='submit' className={buttonClass}>Save as new</button>
+      </form>
+
+      <div className='flex gap-2'>
+        <button
+          onClick={() => downloadFile('palettes.json', palettesToJSON(customPalettes), 'application/json')}
+          disabled={customPalettes.length === 0}
+          title='Download your custom palettes'
+          className={buttonClass}
+        >
+          Export JSON
+        </button>
+        <button onClick={() => fileInput.current.click()} className={buttonClass}>Import JSON</button>
+        <input ref={fileInput} type='file' accept='application/json,.json' onChange={handleImport} hidden />
+      </div>
+      {message && <p className='text-sm text-gray-600'>{message}</p>}
+    </div>
+  )
+}
+
+export default PaletteManager
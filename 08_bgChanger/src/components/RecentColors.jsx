@@ -0,0 +1,23 @@
+// Strip of recently used colors; clicking one brings it back
+function RecentColors({ colors, current, onSelect, onClear }) {
+  if (colors.length === 0) return null
+
+  return (
+    <div className='flex items-center gap-2 shadow-lg bg-amber-50 rounded-full px-3 py-1'>
+      <span className='text-xs text-gray-500'>Recent</span>
+      {colors.map((color) => (
+        <button
+          key={color}
+          onClick={() => onSelect(color)}
+          title={color}
+          aria-label={`Use ${color}`}
+          className={`w-6 h-6 rounded-full border border-gray-300 ${color === current ? 'ring-2 ring-offset-1 ring-gray-800' : ''}`}
+          style={{ backgroundColor: color }}>
+        </button>
+      ))}
+      <button onClick={onClear} className='text-xs text-gray-500 hover:text-gray-800'>Clear</button>
+    </div>
+  )
+}
+
+export default RecentColors
@@ -0,0 +1,27 @@
+import { readableTextColor } from '../utils/color'
+
+// One button per color of the active palette. The text color is worked
+// out from the swatch itself, so every label stays readable.
+// The first ten swatches can also be picked with the number keys 1-9 and 0.
+function SwatchBar({ palette, current, onSelect }) {
+  return (
+    <div className='flex flex-wrap justify-center gap-3 shadow-lg bg-amber-50 rounded-3xl px-3 py-2'>
+      {palette.colors.map((color, index) => (
+        <button
+          key={`${color.value}-${index}`}
+          onClick={() => onSelect(color.value)}
+          aria-pressed={color.value === current}
+          title={index < 10 ? `${color.value} (key ${(index + 1) % 10})` : color.value}
+          className={`outline-none px-4 py-1 rounded-full shadow-lg ${color.value === current ? 'ring-2 ring-offset-2 ring-gray-800' : ''}`}
+          style={{ backgroundColor: color.value, color: readableTextColor(color.value) }}>
+            {color.name}
+        </button>
+      ))}
+      {palette.colors.length === 0 && (
+        <p className='text-gray-500 px-2 py-1'>This palette is empty - add colors from the panel.</p>
+      )}
+    </div>
+  )
+}
+
+export default SwatchBar
@@ -0,0 +1,53 @@
+// Built-in palettes. Every swatch button is generated from this data;
+// custom palettes (saved by the user) have the same shape.
+//
+// palette: { id, name, colors: [{ name, value: '#rrggbb' }] }
+
+export const builtInPalettes = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    colors: [
+      { name: 'Red', value: '#ff0000' },
+      { name: 'Green', value: '#008000' },
+      { name: 'Skyblue', value: '#87ceeb' },
+      { name: 'Magenta', value: '#ff00ff' },
+      { name: 'Cyan', value: '#00ffff' },
+      { name: 'Purple', value: '#800080' },
+      { name: 'Orange', value: '#ffa500' },
+      { name: 'Yellow', value: '#ffff00' },
+      { name: 'Black', value: '#000000' },
+      { name: 'White', value: '#ffffff' },
+      { name: 'Gray', value: '#808080' },
+      { name: 'Pink', value: '#ffc0cb' },
+      { name: 'Brown', value: '#a52a2a' },
+    ],
+  },
+  {
+    id: 'pastel',
+    name: 'Pastel',
+    colors: [
+      { name: 'Blush', value: '#f8c8dc' },
+      { name: 'Peach', value: '#ffdab9' },
+      { name: 'Butter', value: '#fff5ba' },
+      { name: 'Mint', value: '#c1f0dc' },
+      { name: 'Sky', value: '#bde0fe' },
+      { name: 'Lavender', value: '#d9c8f5' },
+    ],
+  },
+  {
+    id: 'night',
+    name: 'Night',
+    colors: [
+      { name: 'Midnight', value: '#191970' },
+      { name: 'Navy', value: '#1b263b' },
+      { name: 'Slate', value: '#2f3e46' },
+      { name: 'Plum', value: '#4a1942' },
+      { name: 'Forest', value: '#1b4332' },
+      { name: 'Charcoal', value: '#222222' },
+    ],
+  },
+];
+
+export const DEFAULT_PALETTE_ID = 'classic';
+export const DEFAULT_COLOR = '#00ffff'; // cyan, as before
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+// Custom hook: steps through `colors` every `interval` ms while `running`.
+// It only picks the next color; the smooth fade (and its easing) is a CSS
+// transition on the background, as long as the interval itself.
+function useColorCycle(colors, interval, running) {
+  const [index, setIndex] = useState(0);
+  const count = colors.length;
+
+  useEffect(() => {
+    if (!running || count < 2) return;
+    const timer = setInterval(() => setIndex((prev) => (prev + 1) % count), interval);
+    return () => clearInterval(timer);
+  }, [running, count, interval]);
+
+  return count > 0 ? colors[index % count].value : null;
+}
+
+export default useColorCycle;
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { parseColor } from '../utils/color';
+import { hashFromState, readHashState } from '../utils/shareState';
+
+const COLOR_KEY = 'bg-changer-color';
+
+// The starting color: from the link if it has one, else the last one used here
+export const loadInitialColor = (fallback) =>
+  readHashState().color ?? parseColor(localStorage.getItem(COLOR_KEY) ?? '') ?? fallback;
+
+// Custom hook: keeps the URL hash and localStorage in step with the current
+// color and palette, and calls onHashChange when the user edits the hash or
+// follows a shared link in the same tab.
+function useHashSync(color, palette, isCustom, onHashChange) {
+  const handlerRef = useRef(onHashChange);
+  useEffect(() => {
+    handlerRef.current = onHashChange;
+  });
+
+  const hash = hashFromState(color, palette, isCustom);
+  const writtenHash = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem(COLOR_KEY, color);
+    // replaceState: picking colors shouldn't fill the back button's history
+    if (window.location.hash !== hash) window.history.replaceState(null, '', hash);
+    writtenHash.current = window.location.hash;
+  }, [color, hash]);
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      // Only react to hashes that didn't come from this hook
+      if (window.location.hash !== writtenHash.current) handlerRef.current(readHashState());
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+}
+
+export default useHashSync;
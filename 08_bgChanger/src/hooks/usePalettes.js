@@ -0,0 +1,99 @@
+import { useEffect, useState } from 'react';
+import { builtInPalettes, DEFAULT_PALETTE_ID } from '../data/palettes';
+import { sanitizePalette } from '../utils/paletteFile';
+import { readHashState } from '../utils/shareState';
+
+const PALETTES_KEY = 'bg-changer-palettes';
+const ACTIVE_KEY = 'bg-changer-active-palette';
+
+const createId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Saved palettes go through the same checks as imported files
+function loadCustomPalettes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PALETTES_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .map((raw) => {
+        const palette = sanitizePalette(raw);
+        return palette && { ...palette, id: typeof raw.id === 'string' ? raw.id : createId() };
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export const isBuiltIn = (palette) => builtInPalettes.some((builtIn) => builtIn.id === palette.id);
+
+// A custom palette from a shared link is added once, under the id it had in the link
+const withShared = (customPalettes, shared) =>
+  !shared || isBuiltIn(shared) || customPalettes.some((palette) => palette.id === shared.id)
+    ? customPalettes
+    : [...customPalettes, shared];
+
+// Custom hook: built-in plus user palettes, which one is active, and the
+// edits allowed on user palettes. Built-in palettes are read-only.
+function usePalettes() {
+  // A palette in the URL hash wins over the one saved in this browser
+  const [customPalettes, setCustomPalettes] = useState(() => withShared(loadCustomPalettes(), readHashState().palette));
+  const [activeId, setActiveId] = useState(
+    () => readHashState().paletteId ?? localStorage.getItem(ACTIVE_KEY) ?? DEFAULT_PALETTE_ID
+  );
+
+  useEffect(() => {
+    localStorage.setItem(PALETTES_KEY, JSON.stringify(customPalettes));
+  }, [customPalettes]);
+
+  useEffect(() => {
+    localStorage.setItem(ACTIVE_KEY, activeId);
+  }, [activeId]);
+
+  const palettes = [...builtInPalettes, ...customPalettes];
+  // Falls back to the first palette if the active one was deleted
+  const activePalette = palettes.find((palette) => palette.id === activeId) ?? palettes[0];
+
+  const updateCustom = (id, update) =>
+    setCustomPalettes((prev) => prev.map((palette) => (palette.id === id ? update(palette) : palette)));
+
+  const createPalette = (name, colors) => {
+    const palette = { id: createId(), name, colors };
+    setCustomPalettes((prev) => [...prev, palette]);
+    setActiveId(palette.id);
+  };
+
+  const deletePalette = (id) => setCustomPalettes((prev) => prev.filter((palette) => palette.id !== id));
+
+  const addColor = (id, color) => updateCustom(id, (palette) => ({ ...palette, colors: [...palette.colors, color] }));
+
+  const removeColor = (id, index) =>
+    updateCustom(id, (palette) => ({ ...palette, colors: palette.colors.filter((_, i) => i !== index) }));
+
+  // Imported palettes always get new ids, so they never overwrite existing ones
+  const importPalettes = (imported) => {
+    const added = imported.map((palette) => ({ ...palette, id: createId() }));
+    setCustomPalettes((prev) => [...prev, ...added]);
+    setActiveId(added[0].id);
+  };
+
+  // For links opened while the page is already loaded (see useHashSync)
+  const openShared = ({ paletteId, palette }) => {
+    if (palette) setCustomPalettes((prev) => withShared(prev, palette));
+    if (paletteId) setActiveId(paletteId);
+  };
+
+  return {
+    palettes,
+    customPalettes,
+    activePalette,
+    setActiveId,
+    createPalette,
+    deletePalette,
+    addColor,
+    removeColor,
+    importPalettes,
+    openShared,
+  };
+}
+
+export default usePalettes;
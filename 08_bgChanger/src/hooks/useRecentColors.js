@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'bg-changer-recent';
+const LIMIT = 12;
+// Dragging in the color picker changes the color many times a second;
+// only a color that stays this long is added to the history
+const SETTLE_MS = 600;
+
+function loadRecent() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter((color) => /^#[0-9a-f]{6}$/.test(color)).slice(0, LIMIT) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Custom hook: the last colors used, newest first. A color that's already
+// in the list keeps its place, so clicking back through the strip doesn't reshuffle it.
+function useRecentColors(color) {
+  const [recent, setRecent] = useState(loadRecent);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setRecent((prev) => (prev.includes(color) ? prev : [color, ...prev].slice(0, LIMIT)));
+    }, SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [color]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  }, [recent]);
+
+  const clearRecent = () => setRecent([]);
+
+  return [recent, clearRecent];
+}
+
+export default useRecentColors;
@@ -0,0 +1,96 @@
+// Color helpers. Colors are passed around the app as "#rrggbb" strings;
+// these functions convert them to and from RGB/HSL and measure brightness.
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const rgbToHex = ({ r, g, b }) =>
+  '#' + [r, g, b].map((channel) => Math.round(clamp(channel, 0, 255)).toString(16).padStart(2, '0')).join('');
+
+export function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+  if (!match) return null;
+
+  const digits = match[1].length === 3 ? [...match[1]].map((digit) => digit + digit).join('') : match[1];
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+  };
+}
+
+// h in degrees (0-360), s and l in percent (0-100)
+export function rgbToHsl({ r, g, b }) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) return { h: 0, s: 0, l: l * 100 };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === red) h = ((green - blue) / d) % 6;
+  else if (max === green) h = (blue - red) / d + 2;
+  else h = (red - green) / d + 4;
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+export function hslToRgb({ h, s, l }) {
+  const sat = clamp(s, 0, 100) / 100;
+  const light = clamp(l, 0, 100) / 100;
+  const hue = ((h % 360) + 360) % 360;
+  const k = (n) => (n + hue / 30) % 12;
+  const a = sat * Math.min(light, 1 - light);
+  const f = (n) => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+// Accepts "#0af", "#00aaff", "rgb(0, 170, 255)" and "hsl(200, 100%, 50%)";
+// returns "#rrggbb", or null if the text isn't a color
+export function parseColor(text) {
+  const value = String(text).trim().toLowerCase();
+
+  const rgb = hexToRgb(value);
+  if (rgb) return rgbToHex(rgb);
+
+  const numbers = (value.match(/-?\d+(\.\d+)?/g) ?? []).map(Number);
+  if (/^rgba?\(/.test(value) && numbers.length >= 3) {
+    const [r, g, b] = numbers;
+    return rgbToHex({ r, g, b });
+  }
+  if (/^hsla?\(/.test(value) && numbers.length >= 3) {
+    const [h, s, l] = numbers;
+    return rgbToHex(hslToRgb({ h, s, l }));
+  }
+  return null;
+}
+
+export const formatRgb = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+
+export const formatHsl = ({ h, s, l }) => `hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.round(l)}%)`;
+
+// WCAG relative luminance: 0 for black, 1 for white
+export function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// WCAG contrast ratio between two colors, from 1 (same) to 21 (black on white)
+export function contrastRatio(first, second) {
+  const [light, dark] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Black or white, whichever reads better on the given background
+export const readableTextColor = (background) =>
+  contrastRatio(background, '#000000') >= contrastRatio(background, '#ffffff') ? '#000000' : '#ffffff';
+
+export const randomColor = () =>
+  rgbToHex({ r: Math.random() * 255, g: Math.random() * 255, b: Math.random() * 255 });
@@ -0,0 +1,48 @@
+import { contrastRatio, hexToRgb, hslToRgb, rgbToHex, rgbToHsl } from './color';
+
+// WCAG 2.x minimum contrast ratios. "Large" text is at least 18pt (24px),
+// or 14pt (about 18.66px) bold.
+export const WCAG_CHECKS = [
+  { id: 'aa-normal', level: 'AA', size: 'normal', ratio: 4.5 },
+  { id: 'aa-large', level: 'AA', size: 'large', ratio: 3 },
+  { id: 'aaa-normal', level: 'AAA', size: 'normal', ratio: 7 },
+  { id: 'aaa-large', level: 'AAA', size: 'large', ratio: 4.5 },
+];
+
+// { ratio, checks: [{ ...check, pass }] } for text in `foreground` on `background`
+export function checkContrast(foreground, background) {
+  const ratio = contrastRatio(foreground, background);
+  // WCAG compares the ratio unrounded; 4.499 is not 4.5
+  return { ratio, checks: WCAG_CHECKS.map((check) => ({ ...check, pass: ratio >= check.ratio })) };
+}
+
+// "4.5:1" style display, rounded down so a failing ratio never reads as passing
+export const formatRatio = (ratio) => `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+
+// The closest color to `foreground` that reaches `minRatio` on `background`.
+// Hue and saturation are kept and only the lightness moves, so the
+// suggestion still looks like the chosen color, just lighter or darker.
+// Returns null if no lightness works (some mid-tone backgrounds can't reach AAA).
+export function suggestForeground(foreground, background, minRatio) {
+  if (contrastRatio(foreground, background) >= minRatio) return foreground;
+
+  const hsl = rgbToHsl(hexToRgb(foreground));
+  let best = null;
+
+  // Lightness steps of 0.5% in both directions; the first hit on each side is the nearest there
+  for (const direction of [-1, 1]) {
+    for (let l = hsl.l; l >= 0 && l <= 100; l += direction * 0.5) {
+      const candidate = rgbToHex(hslToRgb({ ...hsl, l }));
+      if (contrastRatio(candidate, background) >= minRatio) {
+        const distance = Math.abs(l - hsl.l);
+        if (!best || distance < best.distance) best = { color: candidate, distance };
+        break;
+      }
+    }
+    // The ends of the range are pure black and white, which are always worth a last try
+    const end = direction < 0 ? '#000000' : '#ffffff';
+    if (!best && contrastRatio(end, background) >= minRatio) best = { color: end, distance: Infinity };
+  }
+
+  return best?.color ?? null;
+}
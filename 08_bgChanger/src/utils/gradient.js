@@ -0,0 +1,29 @@
+// Gradient backgrounds: { type: 'linear' | 'radial', angle, shape, stops: [{ color, position }] }.
+// Positions are percentages; stops can be edited in any order and are sorted when turned into CSS.
+
+export const DEFAULT_GRADIENT = {
+  type: 'linear',
+  angle: 135,       // degrees, linear only
+  shape: 'circle',  // 'circle' | 'ellipse', radial only
+  stops: [
+    { color: '#00ffff', position: 0 },
+    { color: '#800080', position: 100 },
+  ],
+};
+
+export const MIN_STOPS = 2;
+export const MAX_STOPS = 8;
+
+export const sortStops = (stops) => [...stops].sort((a, b) => a.position - b.position);
+
+// The value for `background-image`, e.g. "linear-gradient(135deg, #00ffff 0%, #800080 100%)"
+export function gradientToCss({ type, angle, shape, stops }) {
+  const colorStops = sortStops(stops).map((stop) => `${stop.color} ${stop.position}%`).join(', ');
+  return type === 'radial'
+    ? `radial-gradient(${shape} at center, ${colorStops})`
+    : `linear-gradient(${angle}deg, ${colorStops})`;
+}
+
+// Ready to paste into a stylesheet; the solid color is a fallback for very old browsers
+export const gradientCssSnippet = (gradient) =>
+  `background-color: ${sortStops(gradient.stops)[0].color};\nbackground-image: ${gradientToCss(gradient)};`;
@@ -0,0 +1,41 @@
+import { parseColor } from './color';
+
+// Palette files are JSON: { "version": 1, "palettes": [{ "name", "colors": [{ "name", "value" }] }] }.
+// Imports are forgiving: a single palette object or a bare array works too,
+// colors can be any format parseColor understands, and bad entries are skipped.
+
+export const palettesToJSON = (palettes) =>
+  JSON.stringify({ version: 1, palettes: palettes.map(({ name, colors }) => ({ name, colors })) }, null, 2);
+
+// Returns { name, colors } with every color as "#rrggbb", or null if nothing usable is left
+export function sanitizePalette(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.colors)) return null;
+
+  const colors = raw.colors
+    .map((color) => {
+      const value = parseColor(typeof color === 'string' ? color : color?.value ?? '');
+      if (!value) return null;
+      const name = typeof color?.name === 'string' && color.name.trim() ? color.name.trim() : value;
+      return { name, value };
+    })
+    .filter(Boolean);
+
+  if (colors.length === 0) return null;
+  const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Imported palette';
+  return { name, colors };
+}
+
+export function parsePalettes(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data?.palettes) ? data.palettes : [data];
+  const palettes = list.map(sanitizePalette).filter(Boolean);
+
+  if (palettes.length === 0) throw new Error('No palettes with valid colors were found in this file.');
+  return { palettes, skipped: list.length - palettes.length };
+}
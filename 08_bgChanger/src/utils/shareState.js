@@ -0,0 +1,48 @@
+import { parseColor } from './color';
+import { sanitizePalette } from './paletteFile';
+
+// The current color and palette are kept in the URL hash, so a link opens
+// the same view:  #color=00ffff&palette=classic
+// Custom palettes only exist in one browser, so their colors travel in the link too:
+//   #color=ff6600&palette=custom-abc&name=Brand&swatches=Ink:1b263b,ff6600
+
+// Names are percent-encoded, so a "," or ":" in a name ("Ink, dark") can't be
+// mistaken for the separators between and inside swatches
+const encodeSwatch = (color) =>
+  color.name === color.value ? color.value.slice(1) : `${encodeURIComponent(color.name)}:${color.value.slice(1)}`;
+
+function decodeName(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text; // a stray "%" in a hand-edited link
+  }
+}
+
+function decodeSwatch(text) {
+  const split = text.lastIndexOf(':');
+  const value = text.slice(split + 1);
+  return { name: split === -1 ? `#${value}` : decodeName(text.slice(0, split)), value: `#${value}` };
+}
+
+export function hashFromState(color, palette, isCustom) {
+  const params = new URLSearchParams({ color: color.slice(1), palette: palette.id });
+  if (isCustom) {
+    params.set('name', palette.name);
+    params.set('swatches', palette.colors.map(encodeSwatch).join(','));
+  }
+  return `#${params}`;
+}
+
+// Returns { color, paletteId, palette } from the hash; fields that are missing or invalid are null
+export function readHashState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const color = params.get('color') && parseColor(`#${params.get('color')}`);
+  const paletteId = params.get('palette');
+  const swatches = params.get('swatches');
+  const palette = paletteId && swatches
+    ? sanitizePalette({ name: params.get('name'), colors: swatches.split(',').map(decodeSwatch) })
+    : null;
+
+  return { color: color || null, paletteId: paletteId || null, palette: palette && { ...palette, id: paletteId } };
+}
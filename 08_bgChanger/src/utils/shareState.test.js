@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { hashFromState, readHashState } from './shareState';
+
+const palette = {
+  id: 'custom-abc',
+  name: 'Brand, v2',
+  colors: [
+    { name: 'Ink, dark:1', value: '#1b263b' },
+    { name: '50% gray', value: '#808080' },
+    { name: '#ff6600', value: '#ff6600' },
+  ],
+};
+
+describe('share links', () => {
+  it('round-trips a custom palette whose swatch names contain "," and ":"', () => {
+    const hash = hashFromState('#ff6600', palette, true);
+    expect(readHashState(hash)).toEqual({ color: '#ff6600', paletteId: 'custom-abc', palette });
+  });
+
+  it('links built-in palettes by id only', () => {
+    const hash = hashFromState('#00ffff', { ...palette, id: 'classic' }, false);
+    expect(hash).toBe('#color=00ffff&palette=classic');
+    expect(readHashState(hash)).toEqual({ color: '#00ffff', paletteId: 'classic', palette: null });
+  });
+
+  it('keeps a hand-edited name with a stray "%" as written', () => {
+    const { palette: read } = readHashState('#color=ff6600&palette=custom-abc&swatches=100%25%20off:ff6600');
+    expect(read.colors).toEqual([{ name: '100% off', value: '#ff6600' }]);
+    expect(readHashState('#palette=p&swatches=' + encodeURIComponent('5%:000000')).palette.colors[0].name).toBe('5%');
+  });
+});
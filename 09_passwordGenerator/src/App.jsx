@@ -1,4 +1,10 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
+import { buildCharset, generatePassword } from './utils/passwordGenerator'
+import { estimateStrength } from './utils/passwordStrength'
+import StrengthMeter from './components/StrengthMeter'
+
+// Longest password the checker rates; it's rated on every keystroke
+const MAX_CHECK_LENGTH = 256
 
 function App() {
   const [length, setLength] = useState(12)
@@ -6,23 +12,17 @@ function App() {
   const [charAllowed, setCharAllowed] = useState(true)
   const [password, setPassword] = useState("")
   const [copied, setCopied] = useState(false)
+  const [ownPassword, setOwnPassword] = useState("")
+  const [showOwnPassword, setShowOwnPassword] = useState(false)
 
   //useRef hook
   const passwordRef = useRef(null)
 
-  const passwordGenerator = useCallback(() => {
-    let pass = ""
-    let str = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz"
-    if (numberAllowed) str += "0123456789"
-    if (charAllowed) str += "!@#$%^&*-_+=[]{}~`"
-
-    for (let i = 1; i <= length; i++) {
-      let char = Math.floor(Math.random() * str.length)
-      pass += str.charAt(char)
-    }
+  const charset = buildCharset({ numbers: numberAllowed, symbols: charAllowed })
 
-    setPassword(pass)
-  }, [length, numberAllowed, charAllowed])
+  const passwordGenerator = useCallback(() => {
+    setPassword(generatePassword(length, charset))
+  }, [length, charset])
 
   const copyPasswordToClipboard = useCallback(() => {
     passwordRef.current?.select();
@@ -36,14 +36,10 @@ function App() {
     passwordGenerator()
   }, [length, numberAllowed, charAllowed, passwordGenerator])
 
-  const getPasswordStrength = () => {
-    if (length >= 16 && numberAllowed && charAllowed) return { text: "Very Strong", color: "text-green-400" }
-    if (length >= 12 && (numberAllowed || charAllowed)) return { text: "Strong", color: "text-blue-400" }
-    if (length >= 8) return { text: "Medium", color: "text-yellow-400" }
-    return { text: "Weak", color: "text-red-400" }
-  }
-
-  const strength = getPasswordStrength()
+  // Rated from the password itself: we know the exact pool it was drawn from.
+  // A typed password is rated by the kinds of characters it contains.
+  const strength = estimateStrength(password, charset)
+  const ownStrength = ownPassword ? estimateStrength(ownPassword) : null
 
   return (
     <div className="min-h-screen bg-gray-950 flex items-center justify-center p-4">
@@ -109,6 +105,7 @@ function App() {
                 </button>
               </div>
             </div>
+            <StrengthMeter strength={strength} />
           </div>
 
           {/* Controls */}
@@ -176,6 +173,42 @@ function App() {
           </button>
         </div>
 
+        {/* Check your own password */}
+        <div className="bg-gray-900 border border-gray-800 rounded-2xl p-6 shadow-2xl mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <label htmlFor="ownPasswordInput" className="text-sm font-medium text-gray-300">Check Your Own Password</label>
+            {ownStrength && (
+              <span className={`text-xs font-semibold px-2 py-1 rounded-full bg-gray-800 ${ownStrength.color}`}>
+                {ownStrength.text}
+              </span>
+            )}
+          </div>
+          <div className="relative">
+            <input
+              id="ownPasswordInput"
+              type={showOwnPassword ? "text" : "password"}
+              value={ownPassword}
+              onChange={(e) => setOwnPassword(e.target.value)}
+              maxLength={MAX_CHECK_LENGTH}
+              autoComplete="off"
+              spellCheck={false}
+              className="w-full bg-gray-800 border border-gray-700 rounded-xl px-4 py-3 pr-20 text-white font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="Paste or type a password"
+            />
+            <button
+              onClick={() => setShowOwnPassword(prev => !prev)}
+              className="absolute right-2 top-1/2 transform -translate-y-1/2 px-2 py-1 text-xs text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-all duration-200"
+            >
+              {showOwnPassword ? "Hide" : "Show"}
+            </button>
+          </div>
+          {ownStrength ? (
+            <StrengthMeter strength={ownStrength} />
+          ) : (
+            <p className="text-xs text-gray-500 mt-2">It is rated right here in your browser and never sent anywhere.</p>
+          )}
+        </div>
+
         {/* Footer */}
         <div className="text-center mt-6">
           <p className="text-gray-500 text-sm">
@@ -0,0 +1,56 @@
+const PATTERN_LABELS = {
+  repeat: "Repeated",
+  sequence: "Sequence",
+  keyboard: "Keyboard walk",
+  dictionary: "Common password",
+}
+
+// The bar is full at 100 bits; beyond that there's nothing left to show
+const FULL_BAR_BITS = 100
+
+// Entropy bar, estimated crack times and the patterns that cost bits,
+// for a result from estimateStrength()
+function StrengthMeter({ strength }) {
+  const width = Math.min(strength.bits / FULL_BAR_BITS, 1) * 100
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="h-2 bg-gray-800 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${strength.bar}`}
+          style={{ width: `${width}%` }}
+        />
+      </div>
+      <div className="flex items-center justify-between text-xs text-gray-400">
+        <span>
+          <span className={`font-semibold ${strength.color}`}>{Math.round(strength.bits)} bits</span> of entropy
+        </span>
+        <span>{strength.poolSize} possible characters</span>
+      </div>
+
+      <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs">
+        {strength.crackTimes.map((scenario) => (
+          <div key={scenario.id} className="bg-gray-800/60 rounded-lg px-3 py-2">
+            <dt className="text-gray-500">{scenario.label}</dt>
+            <dd className="text-gray-200 font-medium">{scenario.time}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="text-xs text-gray-500">
+        Upper bounds: only a short list of common passwords and the patterns below are checked, and real attackers try far more.
+      </p>
+
+      {strength.patterns.length > 0 && (
+        <ul className="text-xs text-yellow-400/90 space-y-1">
+          {strength.patterns.map((pattern) => (
+            <li key={`${pattern.type}-${pattern.start}`}>
+              ⚠ {PATTERN_LABELS[pattern.type]}: <span className="font-mono">{pattern.text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default StrengthMeter
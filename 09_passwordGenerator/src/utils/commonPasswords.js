@@ -0,0 +1,21 @@
+// Some of the most used passwords and password words, most common first, as
+// they appear in leaked password lists. Only words of 4+ characters that the
+// pattern checks wouldn't catch on their own ("123456" is a sequence, "qwerty"
+// a keyboard walk). Attackers try far longer lists than this one, so a
+// password that passes it isn't safe, but one that fails it is certainly not.
+export const COMMON_PASSWORDS = [
+  "password", "iloveyou", "princess", "rockyou", "abc123", "monkey", "letmein", "dragon",
+  "baseball", "football", "sunshine", "master", "shadow", "superman", "batman", "trustno1",
+  "welcome", "login", "admin", "starwars", "whatever", "freedom", "hello", "charlie",
+  "michael", "jordan", "jennifer", "hunter", "ashley", "bailey", "buster", "soccer",
+  "hockey", "killer", "george", "andrew", "thomas", "robert", "daniel", "jessica",
+  "pepper", "ginger", "summer", "winter", "flower", "cheese", "cookie", "chocolate",
+  "butterfly", "purple", "orange", "banana", "computer", "internet", "secret", "lovely",
+  "loveme", "angel", "tigger", "mustang", "harley", "ranger", "yankees", "maggie",
+  "matrix", "blink182", "liverpool", "chelsea", "arsenal", "pokemon", "minecraft", "naruto",
+  "samsung", "google", "apple", "qazwsx", "zaq12wsx", "1qaz2wsx", "azerty", "changeme",
+  "default", "guest", "access", "nicole", "amanda", "michelle", "family", "friends",
+  "forever", "blessed", "jesus", "hannah", "justin", "taylor", "loveyou", "babygirl",
+  "superstar", "corvette", "mercedes", "ferrari", "diamond", "silver", "golden", "london",
+  "america", "canada", "passwort", "qwer1234", "pass", "love", "test", "root",
+]
@@ -0,0 +1,56 @@
+// Password generation, kept out of the component so it can be tested on its own.
+// Randomness comes from crypto.getRandomValues, never Math.random(): Math.random()
+// is fast but predictable, which is fine for games and not for passwords.
+
+export const CHARSETS = {
+  letters: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+  numbers: "0123456789",
+  symbols: "!@#$%^&*-_+=[]{}~`",
+}
+
+// The character pool for the chosen options; letters are always included
+export function buildCharset({ numbers = false, symbols = false } = {}) {
+  let charset = CHARSETS.letters
+  if (numbers) charset += CHARSETS.numbers
+  if (symbols) charset += CHARSETS.symbols
+  return charset
+}
+
+const UINT32_RANGE = 2 ** 32
+
+const fillWithCrypto = (array) => crypto.getRandomValues(array)
+
+// Random 32-bit values are 0 to 2^32 - 1. Taking `value % size` directly would
+// favour the first (2^32 % size) characters slightly, because the last,
+// incomplete round of the range only covers them. Values from that round are
+// thrown away and drawn again (rejection sampling), so every character is
+// exactly equally likely. Fewer than 1 in 10^8 draws is rejected for our pools.
+export const rejectionLimit = (size) => UINT32_RANGE - (UINT32_RANGE % size)
+
+// A uniformly random integer from 0 to max - 1.
+// `fillRandom` fills a Uint32Array with random values; tests can pass their own.
+export function randomIndex(max, fillRandom = fillWithCrypto) {
+  if (!Number.isInteger(max) || max < 1 || max > UINT32_RANGE) {
+    throw new RangeError(`randomIndex: max must be an integer from 1 to 2^32, got ${max}`)
+  }
+
+  const limit = rejectionLimit(max)
+  const buffer = new Uint32Array(1)
+  do {
+    fillRandom(buffer)
+  } while (buffer[0] >= limit)
+  return buffer[0] % max
+}
+
+// A password of `length` characters, each picked uniformly from `charset`
+export function generatePassword(length, charset, fillRandom = fillWithCrypto) {
+  if (!Number.isInteger(length) || length < 0) {
+    throw new RangeError(`generatePassword: length must be a whole number, got ${length}`)
+  }
+  const chars = [...new Set(charset)]
+  if (chars.length === 0) {
+    throw new RangeError("generatePassword: the character set is empty")
+  }
+
+  return Array.from({ length }, () => chars[randomIndex(chars.length, fillRandom)]).join("")
+}
@@ -0,0 +1,120 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { CHARSETS, buildCharset, generatePassword, randomIndex, rejectionLimit } from "./passwordGenerator"
+
+// A random source that hands out the given values, one per call
+const sequence = (...values) => vi.fn((array) => {
+  array[0] = values.shift()
+  return array
+})
+
+const countChars = (text) => {
+  const counts = new Map()
+  for (const char of text) counts.set(char, (counts.get(char) ?? 0) + 1)
+  return counts
+}
+
+describe("buildCharset", () => {
+  it("always has letters and adds numbers and symbols on request", () => {
+    expect(buildCharset()).toBe(CHARSETS.letters)
+    expect(buildCharset({ numbers: true })).toBe(CHARSETS.letters + CHARSETS.numbers)
+    expect(buildCharset({ numbers: true, symbols: true })).toHaveLength(80)
+  })
+})
+
+describe("randomIndex", () => {
+  it("maps accepted values with value % max", () => {
+    expect(randomIndex(10, sequence(0))).toBe(0)
+    expect(randomIndex(10, sequence(1234567))).toBe(7)
+    expect(randomIndex(80, sequence(rejectionLimit(80) - 1))).toBe(79)
+  })
+
+  it("rejects values at or above the rejection limit and draws again", () => {
+    // 2^32 % 3 = 1, so only 2^32 - 1 falls in the incomplete last round
+    expect(rejectionLimit(3)).toBe(2 ** 32 - 1)
+    const fillRandom = sequence(2 ** 32 - 1, 2 ** 32 - 1, 4)
+    expect(randomIndex(3, fillRandom)).toBe(1)
+    expect(fillRandom).toHaveBeenCalledTimes(3)
+
+    const limit = rejectionLimit(80)
+    const fill80 = sequence(limit, limit + 15, 2 ** 32 - 1, 81)
+    expect(randomIndex(80, fill80)).toBe(1)
+    expect(fill80).toHaveBeenCalledTimes(4)
+  })
+
+  it("never rejects when max divides 2^32", () => {
+    expect(rejectionLimit(64)).toBe(2 ** 32)
+    expect(randomIndex(64, sequence(2 ** 32 - 1))).toBe(63)
+  })
+
+  it.each([0, -1, 2.5, NaN, 2 ** 32 + 1, "10"])("refuses max %s", (max) => {
+    expect(() => randomIndex(max)).toThrow(RangeError)
+  })
+})
+
+describe("generatePassword", () => {
+  const charset = buildCharset({ numbers: true, symbols: true })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("returns length characters from the charset", () => {
+    for (const length of [0, 1, 6, 50]) {
+      const password = generatePassword(length, charset)
+      expect(password).toHaveLength(length)
+      expect([...password].every((char) => charset.includes(char))).toBe(true)
+    }
+  })
+
+  it("uses crypto.getRandomValues, not Math.random", () => {
+    const mathRandom = vi.spyOn(Math, "random")
+    const getRandomValues = vi.spyOn(crypto, "getRandomValues")
+    generatePassword(12, charset)
+    expect(mathRandom).not.toHaveBeenCalled()
+    expect(getRandomValues).toHaveBeenCalled()
+  })
+
+  it("skips rejected values instead of folding them onto the first characters", () => {
+    const limit = rejectionLimit(80)
+    const fillRandom = sequence(limit, 0, limit + 15, 1, limit + 8, 79)
+    expect(generatePassword(3, charset, fillRandom)).toBe("AB`")
+  })
+
+  it("picks each distinct character once, however often it appears in the charset", () => {
+    expect(generatePassword(1, "aab", sequence(1))).toBe("b")
+  })
+
+  it("refuses an empty charset", () => {
+    expect(() => generatePassword(8, "")).toThrow(/character set is empty/)
+  })
+
+  it.each([-1, 2.5, NaN, Infinity, "12", null])("refuses length %s", (length) => {
+    expect(() => generatePassword(length, charset)).toThrow(RangeError)
+  })
+
+  // Statistical checks on the real crypto source. The thresholds are set so
+  // a correct generator fails about once in 10,000 runs.
+  describe("distribution", () => {
+    const samplesPerChar = 2000
+    const sample = generatePassword(charset.length * samplesPerChar, charset)
+    const counts = countChars(sample)
+
+    it("uses every character of the charset", () => {
+      expect(counts.size).toBe(charset.length)
+    })
+
+    it("passes a chi-square test for uniformity", () => {
+      let chiSquare = 0
+      for (const char of charset) chiSquare += (counts.get(char) - samplesPerChar) ** 2 / samplesPerChar
+      // 79 degrees of freedom: the 99.99th percentile is about 134.6
+      expect(chiSquare).toBeLessThan(134.6)
+    })
+
+    it("keeps every character within 15% of its expected frequency", () => {
+      const frequencies = [...counts.values()]
+      // 15% of 2000 is 300, more than six standard deviations (about 44)
+      expect(Math.min(...frequencies)).toBeGreaterThan(samplesPerChar * 0.85)
+      expect(Math.max(...frequencies)).toBeLessThan(samplesPerChar * 1.15)
+    })
+  })
+})
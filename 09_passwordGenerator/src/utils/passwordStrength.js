@@ -0,0 +1,232 @@
+// Password strength from entropy: how many guesses an attacker needs, in bits.
+// A password picked at random from a pool of N characters has log2(N) bits per
+// character. Patterns people like (repeats, "abc", "qwerty", "P@ssw0rd") are
+// much easier to guess than their length suggests, so they earn far fewer bits.
+import { COMMON_PASSWORDS } from "./commonPasswords"
+
+// Character classes an attacker would try when the pool isn't known
+const CHARACTER_CLASSES = [
+  { test: /[a-z]/, size: 26 },
+  { test: /[A-Z]/, size: 26 },
+  { test: /[0-9]/, size: 10 },
+  // The other printable ASCII characters: punctuation and the space
+  { test: /[ !-/:-@[-`{-~]/, size: 33 },
+  // Accents, emoji and the like; a rough guess, as there are so many
+  { test: /[^ -~]/, size: 100 },
+]
+
+// Pool size for a password: the exact charset when we know it (generated
+// passwords), otherwise every class the password uses
+export function poolSize(password, charset) {
+  if (charset) return new Set(charset).size
+  return CHARACTER_CLASSES.reduce((size, { test, size: classSize }) => (test.test(password) ? size + classSize : size), 0)
+}
+
+// Patterns shorter than this are too common by chance to count
+const MIN_RUN = 3
+
+const KEYBOARD_ROWS = ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./"]
+const KEYBOARD_POSITIONS = new Map()
+KEYBOARD_ROWS.forEach((row, rowIndex) => {
+  ;[...row].forEach((key, column) => KEYBOARD_POSITIONS.set(key, { row: rowIndex, column }))
+})
+
+const classOf = (char) => (/[a-z]/.test(char) ? "lower" : /[A-Z]/.test(char) ? "upper" : /[0-9]/.test(char) ? "digit" : null)
+
+// How each pattern moves from one character to the next: a step of 0 is a repeat,
+// +1/-1 goes along the alphabet or keyboard row. null means the pattern breaks.
+const STEPS = {
+  repeat: (a, b) => (a === b ? 0 : null),
+  sequence: (a, b) => {
+    const step = b.codePointAt(0) - a.codePointAt(0)
+    return Math.abs(step) === 1 && classOf(a) && classOf(a) === classOf(b) ? step : null
+  },
+  keyboard: (a, b) => {
+    const from = KEYBOARD_POSITIONS.get(a.toLowerCase())
+    const to = KEYBOARD_POSITIONS.get(b.toLowerCase())
+    if (!from || !to || from.row !== to.row) return null
+    const step = to.column - from.column
+    return Math.abs(step) === 1 ? step : null
+  },
+}
+
+// Runs of at least MIN_RUN characters that keep the same step all the way
+function findRuns(chars, type) {
+  const runs = []
+  let start = 0
+  let direction = null
+  for (let i = 1; i <= chars.length; i++) {
+    const step = i < chars.length ? STEPS[type](chars[i - 1], chars[i]) : null
+    if (step !== null && (direction === null || step === direction)) {
+      direction = step
+      continue
+    }
+    if (i - start >= MIN_RUN) runs.push({ type, start, end: i })
+    // "abcba": the pair that broke the run may start the next one
+    start = step === null ? i : i - 1
+    direction = step
+  }
+  return runs
+}
+
+// Longest chunk looked for; longer repeats are rare in a password, and the
+// limit keeps the search linear in the password's length
+const MAX_CHUNK = 16
+
+// "abcabcabc", "1212": a chunk of 2+ characters repeated right after itself.
+// The first copy is left alone (it's guessed like any other characters), the
+// match covers the copies. For each chunk size, one pass finds the stretches
+// where every character equals the one `size` places before it: that is the
+// chunk repeating. The longest match wins later, so "121212" is "12" three
+// times rather than "1212" and "12".
+function findRepeatedChunks(chars) {
+  const chunks = []
+  for (let size = 2; size <= MAX_CHUNK; size++) {
+    let matched = 0
+    for (let i = size; i <= chars.length; i++) {
+      if (i < chars.length && chars[i] === chars[i - size]) {
+        matched++
+        continue
+      }
+      // chars[i - matched, i) repeats the chunk just before it
+      const copies = Math.floor(matched / size)
+      if (copies > 0) {
+        const start = i - matched
+        chunks.push({ type: "repeat", start, end: start + copies * size, copies })
+      }
+      matched = 0
+    }
+  }
+  return chunks
+}
+
+const PASSWORD_RANKS = new Map(COMMON_PASSWORDS.map((word, rank) => [word, rank]))
+const SHORTEST_WORD = Math.min(...COMMON_PASSWORDS.map((word) => word.length))
+const LONGEST_WORD = Math.max(...COMMON_PASSWORDS.map((word) => word.length))
+
+// Leet-speak an attacker undoes first: "P@ssw0rd" is "password". "1" stands
+// for "i" as often as for "l", so both readings are tried.
+const LEET = { "@": "a", 4: "a", 3: "e", 0: "o", $: "s", 5: "s", 7: "t", "+": "t", "!": "i", "|": "l" }
+const LEET_READINGS = [{ ...LEET, 1: "i" }, { ...LEET, 1: "l" }]
+
+// Common passwords anywhere in the password, in any case and leet-speak. At
+// each position only the longest word counts; `variations` is 1 for capitals
+// and 1 for leet-speak, the guesses it takes to try those spellings too.
+function findWords(chars) {
+  const lower = chars.map((char) => char.toLowerCase())
+  const readings = [lower, ...LEET_READINGS.map((leet) => lower.map((char) => leet[char] ?? char))]
+  const words = []
+  for (let start = 0; start + SHORTEST_WORD <= chars.length; start++) {
+    for (let end = Math.min(chars.length, start + LONGEST_WORD); end - start >= SHORTEST_WORD; end--) {
+      const reading = readings.find((letters) => PASSWORD_RANKS.has(letters.slice(start, end).join("")))
+      if (!reading) continue
+      const capitals = chars.slice(start, end).some((char) => char !== char.toLowerCase())
+      words.push({
+        type: "dictionary",
+        start,
+        end,
+        rank: PASSWORD_RANKS.get(reading.slice(start, end).join("")),
+        variations: (capitals ? 1 : 0) + (reading === lower ? 0 : 1),
+      })
+      break
+    }
+  }
+  return words
+}
+
+// Every pattern in the password, longest first, without overlaps
+export function findPatterns(password) {
+  const chars = [...password]
+  const candidates = [
+    ...findWords(chars),
+    ...findRuns(chars, "repeat"),
+    ...findRepeatedChunks(chars),
+    ...findRuns(chars, "sequence"),
+    ...findRuns(chars, "keyboard"),
+  ].sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start)
+
+  const taken = new Array(chars.length).fill(false)
+  const patterns = []
+  for (const candidate of candidates) {
+    if (taken.slice(candidate.start, candidate.end).some(Boolean)) continue
+    taken.fill(true, candidate.start, candidate.end)
+    patterns.push({ ...candidate, text: chars.slice(candidate.start, candidate.end).join("") })
+  }
+  return patterns.sort((a, b) => a.start - b.start)
+}
+
+// Bits a pattern is worth. A common password costs its rank in the list ("which
+// word") plus its variations. A run costs its first character plus its length
+// ("which run, how long"); a repeated chunk only costs the number of copies,
+// as the chunk itself was already counted.
+function patternBits(pattern, bitsPerChar) {
+  if (pattern.type === "dictionary") return Math.log2(pattern.rank + 1) + pattern.variations
+  if (pattern.copies) return Math.log2(pattern.copies + 1)
+  return bitsPerChar + Math.log2(pattern.end - pattern.start)
+}
+
+// Bits of entropy: full bits for characters outside patterns, patternBits for the rest
+export function passwordEntropy(password, charset) {
+  const length = [...password].length
+  const size = poolSize(password, charset)
+  if (length === 0 || size < 2) return { bits: 0, poolSize: size, patterns: [] }
+
+  const bitsPerChar = Math.log2(size)
+  const patterns = findPatterns(password)
+  const covered = patterns.reduce((sum, pattern) => sum + pattern.end - pattern.start, 0)
+  let bits = (length - covered) * bitsPerChar
+  for (const pattern of patterns) bits += patternBits(pattern, bitsPerChar)
+  return { bits, poolSize: size, patterns }
+}
+
+export const STRENGTH_LEVELS = [
+  { minBits: 80, text: "Very Strong", color: "text-green-400", bar: "bg-green-400" },
+  { minBits: 60, text: "Strong", color: "text-blue-400", bar: "bg-blue-400" },
+  { minBits: 40, text: "Medium", color: "text-yellow-400", bar: "bg-yellow-400" },
+  { minBits: 0, text: "Weak", color: "text-red-400", bar: "bg-red-400" },
+]
+
+// How fast an attacker can guess. Online, the site limits the attempts; offline,
+// with a stolen database of fast (unsalted MD5/SHA-1) hashes, GPUs try billions a second.
+export const ATTACK_SCENARIOS = [
+  { id: "online", label: "Online attack (rate limited)", guessesPerSecond: 10 },
+  { id: "offline", label: "Offline attack (fast hash, GPUs)", guessesPerSecond: 1e10 },
+]
+
+// On average the password is found after searching half of the possibilities
+export const crackSeconds = (bits, guessesPerSecond) => 2 ** (bits - 1) / guessesPerSecond
+
+const DURATION_UNITS = [
+  { name: "century", plural: "centuries", seconds: 100 * 365.25 * 86400 },
+  { name: "year", seconds: 365.25 * 86400 },
+  { name: "month", seconds: (365.25 / 12) * 86400 },
+  { name: "day", seconds: 86400 },
+  { name: "hour", seconds: 3600 },
+  { name: "minute", seconds: 60 },
+  { name: "second", seconds: 1 },
+]
+
+// 5400 -> "2 hours"; anything past 1000 centuries is just "forever" for our purposes
+export function formatDuration(seconds) {
+  if (seconds < 1) return "instantly"
+  if (seconds >= 1000 * DURATION_UNITS[0].seconds) return "more than 100,000 years"
+  const unit = DURATION_UNITS.find((candidate) => seconds >= candidate.seconds)
+  const count = Math.round(seconds / unit.seconds)
+  return `${count} ${count === 1 ? unit.name : unit.plural ?? `${unit.name}s`}`
+}
+
+// Everything the strength meter shows for one password
+export function estimateStrength(password, charset) {
+  const { bits, poolSize: size, patterns } = passwordEntropy(password, charset)
+  const level = STRENGTH_LEVELS.find((candidate) => bits >= candidate.minBits)
+  return {
+    ...level,
+    bits,
+    poolSize: size,
+    patterns,
+    crackTimes: ATTACK_SCENARIOS.map((scenario) => ({
+      ...scenario,
+      time: formatDuration(crackSeconds(bits, scenario.guessesPerSecond)),
+    })),
+  }
+}
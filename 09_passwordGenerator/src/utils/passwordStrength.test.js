@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest"
+import { estimateStrength, findPatterns, formatDuration, passwordEntropy, poolSize } from "./passwordStrength"
+
+const patternsOf = (password) => findPatterns(password).map(({ type, text }) => `${type}:${text}`)
+
+describe("poolSize", () => {
+  it("adds up the character classes a typed password uses", () => {
+    expect(poolSize("abc")).toBe(26)
+    expect(poolSize("abcD1")).toBe(62)
+    expect(poolSize("aB1!")).toBe(95)
+    expect(poolSize("é")).toBe(100)
+  })
+
+  it("uses the exact charset when it is known", () => {
+    expect(poolSize("abc", "abcdef")).toBe(6)
+  })
+})
+
+describe("findPatterns", () => {
+  it.each([
+    ["aaaa", ["repeat:aaaa"]],
+    ["zk8zk8", ["repeat:zk8"]],
+    ["1212121212", ["repeat:12121212"]],
+    ["abcdef", ["sequence:abcdef"]],
+    ["9876", ["sequence:9876"]],
+    ["qwerty123", ["keyboard:qwerty", "sequence:123"]],
+    [";lkj", ["keyboard:;lkj"]],
+    ["xK9#mQ2$", []],
+    ["ab", []],
+  ])("finds the patterns in %s", (password, expected) => {
+    expect(patternsOf(password)).toEqual(expected)
+  })
+
+  it("counts emoji as one character", () => {
+    expect(findPatterns("😀ab😀ab😀ab")).toEqual([{ type: "repeat", start: 3, end: 9, copies: 2, text: "😀ab😀ab" }])
+  })
+
+  it("finds the patterns in a long paste", () => {
+    const long = "xK9#mQ2$vL7!".repeat(400) + "a".repeat(2000)
+    expect(findPatterns(long).map(({ type, start, end }) => [type, start, end])).toEqual([
+      ["repeat", 12, 4800],
+      ["repeat", 4800, 6800],
+    ])
+  })
+
+  it.each([
+    ["password", ["dictionary:password"]],
+    ["P@ssw0rd2024", ["dictionary:P@ssw0rd"]],
+    ["1Loveyou!", ["dictionary:1Loveyou"]],
+    ["he11o", ["dictionary:he11o"]],
+    ["trustno1", ["dictionary:trustno1"]],
+    ["xMONKEYx", ["dictionary:MONKEY"]],
+  ])("finds common passwords in %s, also in leet-speak", (password, expected) => {
+    expect(patternsOf(password)).toEqual(expected)
+  })
+})
+
+describe("passwordEntropy", () => {
+  it("gives a random-looking password log2(pool) bits per character", () => {
+    expect(passwordEntropy("xK9#mQ2$").bits).toBeCloseTo(8 * Math.log2(95))
+  })
+
+  it("gives patterns far fewer bits than their length", () => {
+    expect(passwordEntropy("aaaaaa").bits).toBeCloseTo(Math.log2(26) + Math.log2(6))
+    expect(passwordEntropy("abcdefgh").bits).toBeLessThan(passwordEntropy("xqzmwpvk").bits / 3)
+  })
+
+  it("gives a common password its rank in the list, plus a bit each for capitals and leet-speak", () => {
+    expect(passwordEntropy("password").bits).toBe(0)
+    expect(passwordEntropy("Password").bits).toBe(1)
+    expect(passwordEntropy("P@ssw0rd").bits).toBe(2)
+    expect(passwordEntropy("dragon").bits).toBeCloseTo(Math.log2(8))
+  })
+
+  it("is zero for an empty password", () => {
+    expect(passwordEntropy("").bits).toBe(0)
+  })
+})
+
+describe("estimateStrength", () => {
+  it("labels by bits", () => {
+    expect(estimateStrength("qwerty").text).toBe("Weak")
+    expect(estimateStrength("P@ssw0rd2024").text).toBe("Weak")
+    expect(estimateStrength("xK9#mQ2$vL7!").text).toBe("Strong")
+    expect(estimateStrength("xK9#mQ2$vL7!pW4^").text).toBe("Very Strong")
+  })
+
+  it("estimates a crack time for each attack", () => {
+    const { crackTimes } = estimateStrength("aaaaaa")
+    expect(crackTimes.map((scenario) => scenario.time)).toEqual(["8 seconds", "instantly"])
+  })
+})
+
+describe("formatDuration", () => {
+  it.each([
+    [0.5, "instantly"],
+    [1, "1 second"],
+    [5400, "2 hours"],
+    [3 * 365.25 * 86400, "3 years"],
+    [1e20, "more than 100,000 years"],
+  ])("formats %s seconds as %s", (seconds, text) => {
+    expect(formatDuration(seconds)).toBe(text)
+  })
+})